@@ -1,25 +1,48 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import { FloatingPanel } from "./components/FloatingPanel";
-import { parseCast } from "./lib/castParser";
-import { getTerminalTheme, renderTerminalToHtml } from "./lib/terminalRenderer";
+import { TerminalCanvas } from "./components/TerminalCanvas";
+import { eventStreams, parseCast, parseTerminalSize } from "./lib/castParser";
+import { parseCastFile } from "./lib/castFileParser";
+import { looksLikeScriptTiming, parseScriptRecording } from "./lib/scriptImporter";
+import { isTtyrecFileName, readTtyrec, ttyrecToCast } from "./lib/ttyrecImporter";
+import { expandArchiveFiles } from "./lib/archives";
+import { DEFAULT_LOG_TIMING, isAnsiLogFileName, parseAnsiLog } from "./lib/ansiLogImporter";
+import { createFrameCache } from "./lib/frameCache";
 import {
+  screenStateToHtml,
+  screenStateToHtmlDocument,
+  screenStateToSvg,
+  screenStateToText,
+} from "./lib/screenSerializers";
+import { getTerminalTheme } from "./lib/terminalRenderer";
+import { BUILTIN_THEMES, importThemeFile, toCastTheme } from "./lib/themes";
+import {
+  addMarkerAtPlayhead,
   buildEditedCast,
   clamp,
   clipStartInTimeline,
   createInitialSegment,
   firstVisiblePreviewTime,
   fmtTime,
-  getEventsForTimelineTime,
+  getSourcePlaybackEvents,
+  getTimelinePlaybackEvents,
+  getTimelineSideEvents,
   moveSegment,
   rebuildComposedDuration,
+  removeMarker,
   segmentLength,
   sourceLength,
   splitAtPlayhead,
+  timelineSignature,
 } from "./lib/editorOps";
 
 const LAYOUT_STORAGE_KEY = "ascii-edit.layout.v1";
-const SHORTCUTS_STORAGE_KEY = "ascii-edit.shortcuts.v1";
+// Holds all app settings; the key predates the renderer option.
+const SETTINGS_STORAGE_KEY = "ascii-edit.shortcuts.v1";
 const PROJECTS_STORAGE_KEY = "ascii-edit.projects.v1";
+// The file picker offers these by default; anything else can still be picked
+// with "All files" or dropped.
+const IMPORT_ACCEPT = ".json,.cast,.asciicast,.tm,.timing,.typescript,.ttyrec,.tty,.gz,.zip,.log,.ans,.txt";
 const LAYOUT_GRID = 20;
 const SNAP_THRESHOLD = 10;
 const DEFAULT_SHORTCUTS = {
@@ -34,6 +57,20 @@ const DEFAULT_SHORTCUTS = {
   scaleSelected: "Shift+S",
   playPause: "Space",
   rewind: "Home",
+  addMarker: "M",
+};
+const PREVIEW_RENDERERS = [
+  { value: "html", label: "HTML" },
+  { value: "canvas", label: "Canvas" },
+];
+const DEFAULT_DISPLAY = {
+  fontFamily: '"IBM Plex Mono", Menlo, monospace',
+  fontSize: 14,
+  lineHeight: 1.2,
+  letterSpacing: 0,
+  boldIsBright: false,
+  // Uploaded web font, kept as a data URL so it travels with the project.
+  webFont: null,
 };
 const SHORTCUT_FIELDS = [
   { key: "split", label: "Split" },
@@ -47,7 +84,76 @@ const SHORTCUT_FIELDS = [
   { key: "scaleSelected", label: "Scale Selected" },
   { key: "playPause", label: "Play/Pause" },
   { key: "rewind", label: "Rewind" },
+  { key: "addMarker", label: "Add Marker" },
 ];
+// Keystroke lanes group input events into this many slots across the timeline.
+const KEY_LANE_BUCKETS = 240;
+const INSPECTOR_EVENT_LIMIT = 200;
+const FRAME_CACHES_PER_OWNER = 8;
+const SIDE_EVENT_KINDS = { i: "Keys", m: "Marker", r: "Resize" };
+const NAMED_KEYS = {
+  "\r": "⏎",
+  "\n": "⏎",
+  "\t": "⇥",
+  "\u007f": "⌫",
+  "\u001b": "Esc",
+  "\u001b[A": "↑",
+  "\u001b[B": "↓",
+  "\u001b[C": "→",
+  "\u001b[D": "←",
+  "\u001bOA": "↑",
+  "\u001bOB": "↓",
+  "\u001bOC": "→",
+  "\u001bOD": "←",
+};
+
+// Inputs keep whatever was typed in `model.display`; rendering always goes
+// through this so half-typed numbers never reach the preview.
+function normalizeDisplay(display) {
+  const merged = { ...DEFAULT_DISPLAY, ...(display || {}) };
+  return {
+    fontFamily: String(merged.fontFamily).trim() || DEFAULT_DISPLAY.fontFamily,
+    fontSize: clamp(Number(merged.fontSize) || DEFAULT_DISPLAY.fontSize, 6, 48),
+    lineHeight: clamp(Number(merged.lineHeight) || DEFAULT_DISPLAY.lineHeight, 0.8, 3),
+    letterSpacing: clamp(Number(merged.letterSpacing) || 0, -2, 10),
+    boldIsBright: !!merged.boldIsBright,
+    webFont: merged.webFont?.dataUrl ? { family: String(merged.webFont.family), dataUrl: merged.webFont.dataUrl } : null,
+  };
+}
+
+function downloadBlob(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const anchor = document.createElement("a");
+  anchor.href = url;
+  anchor.download = name;
+  anchor.click();
+  URL.revokeObjectURL(url);
+}
+
+function displayStyle(display) {
+  return {
+    fontFamily: display.fontFamily,
+    fontSize: `${display.fontSize}px`,
+    lineHeight: display.lineHeight,
+    letterSpacing: `${display.letterSpacing}px`,
+  };
+}
+
+// Readable form of recorded input: arrows and common control keys get
+// symbols, other control characters caret notation.
+function describeKeys(data) {
+  const text = String(data || "");
+  if (NAMED_KEYS[text]) return NAMED_KEYS[text];
+  return text
+    .replace(/\u001b\[[0-9;]*[A-Za-z~]|\u001bO[A-Z]|\u001b/g, (sequence) => NAMED_KEYS[sequence] || "Esc")
+    .replace(/[\r\n\t\u007f]/g, (key) => NAMED_KEYS[key])
+    .replace(/[\u0000-\u001f]/g, (key) => `^${String.fromCharCode(key.charCodeAt(0) + 64)}`);
+}
+
+// Clip label for a source; archive members carry their path inside the zip.
+function sourceLabel(name) {
+  return name.split("/").pop().replace(/\.(cast|asciicast|json|ttyrec|tty|log|ans|txt)$/i, "");
+}
 
 function createModel() {
   return {
@@ -65,12 +171,18 @@ function createModel() {
     playheadTime: 0,
     playing: false,
     speed: 1,
+    // Theme picked in the Preview panel; null keeps each recording's own.
+    theme: null,
+    display: { ...DEFAULT_DISPLAY },
     clipboardSegment: null,
     dragClipId: null,
     dragSourceId: null,
     contextMenu: { visible: false, x: 0, y: 0, clipId: null },
     settings: {
       shortcuts: { ...DEFAULT_SHORTCUTS },
+      previewRenderer: "html",
+      // Synthetic timing for raw ANSI log imports.
+      logImport: { ...DEFAULT_LOG_TIMING },
     },
     status: "No cast loaded.",
     history: [],
@@ -284,6 +396,8 @@ export function App() {
   const lastFrameTsRef = useRef(0);
   const previewPopupRef = useRef(null);
   const asciinemaPreviewReqRef = useRef(0);
+  const sourceFrameCachesRef = useRef(new WeakMap());
+  const timelineFrameCachesRef = useRef({ signature: null, caches: new Map() });
   const [rev, setRev] = useState(0);
   const [boardRect, setBoardRect] = useState({ width: 1200, height: 820 });
   const [browserDropActive, setBrowserDropActive] = useState(false);
@@ -300,6 +414,9 @@ export function App() {
   const [asciinemaPreviewTime, setAsciinemaPreviewTime] = useState(0);
   const [asciinemaPreviewLoading, setAsciinemaPreviewLoading] = useState(false);
   const [previewPoppedOut, setPreviewPoppedOut] = useState(false);
+  const [previewScrollback, setPreviewScrollback] = useState(0);
+  const [sourceImports, setSourceImports] = useState([]);
+  const [importReviews, setImportReviews] = useState([]);
 
   const forceRender = () => setRev((value) => value + 1);
   const model = modelRef.current;
@@ -423,7 +540,7 @@ export function App() {
 
   useEffect(() => {
     try {
-      const raw = window.localStorage.getItem(SHORTCUTS_STORAGE_KEY);
+      const raw = window.localStorage.getItem(SETTINGS_STORAGE_KEY);
       if (!raw) return;
       const parsed = JSON.parse(raw);
       if (!parsed || typeof parsed !== "object") return;
@@ -434,19 +551,28 @@ export function App() {
               ...DEFAULT_SHORTCUTS,
               ...(parsed.shortcuts || {}),
             },
+            previewRenderer: parsed.previewRenderer === "canvas" ? "canvas" : "html",
+            logImport: { ...DEFAULT_LOG_TIMING, ...(parsed.logImport || {}) },
           };
         },
         { record: false },
       );
     } catch {
-      // ignore malformed saved shortcut settings
+      // ignore malformed saved settings
     }
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  const saveShortcutsToStorage = (shortcuts) => {
+  const saveSettingsToStorage = (settings) => {
     try {
-      window.localStorage.setItem(SHORTCUTS_STORAGE_KEY, JSON.stringify({ shortcuts }));
+      window.localStorage.setItem(
+        SETTINGS_STORAGE_KEY,
+        JSON.stringify({
+          shortcuts: settings.shortcuts,
+          previewRenderer: settings.previewRenderer,
+          logImport: settings.logImport,
+        }),
+      );
     } catch {
       // ignore storage failures
     }
@@ -513,7 +639,7 @@ export function App() {
         event.preventDefault();
         mutate((m) => {
           if (!m.header || !m.segments.length) return;
-          splitAtPlayhead(m);
+          splitWithTitles(m);
         });
       }
       if (!typingTarget && isShortcut("playPause")) {
@@ -535,6 +661,10 @@ export function App() {
           { record: false },
         );
       }
+      if (!typingTarget && isShortcut("addMarker")) {
+        event.preventDefault();
+        addMarker();
+      }
       if (!typingTarget && isShortcut("heal")) {
         event.preventDefault();
         healSelectedClips();
@@ -601,13 +731,6 @@ export function App() {
     };
   }, []);
 
-  const decodeHtmlToText = (html) => {
-    if (!html) return "";
-    const tmp = document.createElement("div");
-    tmp.innerHTML = html;
-    return tmp.textContent || "";
-  };
-
   const getSourceById = (m, sourceId) => (m.sources || []).find((source) => source.id === sourceId) || null;
 
   const getSegmentSourceLimit = (m, seg) => {
@@ -617,42 +740,111 @@ export function App() {
     return source?.duration || 0;
   };
 
-  const previewFrame = useMemo(() => {
-    if (browserTab === "asciinema" && asciinemaPreviewSource?.header) {
-      const t = clamp(asciinemaPreviewTime, 0, asciinemaPreviewSource.duration || 0);
-      const events = asciinemaPreviewSource.outputEvents.filter((event) => event.time <= t);
-      const theme = getTerminalTheme(asciinemaPreviewSource.header);
-      const html = renderTerminalToHtml(
-        asciinemaPreviewSource.header.height || 24,
-        asciinemaPreviewSource.header.width || 80,
-        events,
-        theme,
-      );
-      return { html, theme };
+  const frameCacheKey = (rows, cols, theme) => `${rows}x${cols}:${theme.fg}:${theme.bg}:${theme.palette.join(",")}`;
+
+  // Keeps the most recently used caches per owner; a key that stops being
+  // requested (old theme or size) falls out instead of holding its frames.
+  const cachedFrames = (caches, key, create) => {
+    let cache = caches.get(key);
+    if (cache) caches.delete(key);
+    else cache = create();
+    caches.set(key, cache);
+    if (caches.size > FRAME_CACHES_PER_OWNER) caches.delete(caches.keys().next().value);
+    return cache;
+  };
+
+  // Frame caches are keyed by the outputEvents array itself, so they follow a
+  // source through undo snapshots and disappear together with it.
+  const getSourceFrameCache = (source, rows, cols, theme, { resizes = true } = {}) => {
+    let caches = sourceFrameCachesRef.current.get(source.outputEvents);
+    if (!caches) {
+      caches = new Map();
+      sourceFrameCachesRef.current.set(source.outputEvents, caches);
+    }
+    const key = `${frameCacheKey(rows, cols, theme)}:${resizes ? "r" : ""}`;
+    return cachedFrames(caches, key, () =>
+      createFrameCache(rows, cols, theme, resizes ? getSourcePlaybackEvents(source) : source.outputEvents),
+    );
+  };
+
+  const getTimelineFrameCache = (m, rows, cols, theme) => {
+    const store = timelineFrameCachesRef.current;
+    const signature = timelineSignature(m);
+    if (store.signature !== signature) {
+      store.signature = signature;
+      store.caches = new Map();
     }
+    return cachedFrames(store.caches, frameCacheKey(rows, cols, theme), () =>
+      createFrameCache(rows, cols, theme, getTimelinePlaybackEvents(m)),
+    );
+  };
+
+  const timelineTheme = (m, header) => getTerminalTheme(header, m.theme ? toCastTheme(m.theme) : null);
+
+  const headerAtTimelineTime = (m, time) => {
     let activeSeg = null;
     let cursor = 0;
-    for (const seg of model.segments) {
+    for (const seg of m.segments) {
       const len = segmentLength(seg);
-      if (model.playheadTime <= cursor + len) {
+      if (time <= cursor + len) {
         activeSeg = seg;
         break;
       }
       cursor += len;
     }
-    const activeSource = activeSeg?.sourceId ? getSourceById(model, activeSeg.sourceId) : null;
-    const activeHeader = activeSource?.header || model.header || model.sources[0]?.header || null;
-    if (!activeHeader) return { html: "", theme: { fg: "", bg: "" } };
-    const events = getEventsForTimelineTime(model, model.playheadTime);
-    const theme = getTerminalTheme(activeHeader);
-    const html = renderTerminalToHtml(
-      activeHeader.height || 24,
-      activeHeader.width || 80,
-      events,
-      theme,
-    );
-    return { html, theme };
-  }, [rev, browserTab, asciinemaPreviewSource, asciinemaPreviewTime]);
+    const activeSource = activeSeg?.sourceId ? getSourceById(m, activeSeg.sourceId) : null;
+    return activeSource?.header || m.header || m.sources[0]?.header || null;
+  };
+
+  const timelineTitleAt = (m, time) => {
+    const header = headerAtTimelineTime(m, time);
+    if (!header) return "";
+    return getTimelineFrameCache(m, header.height || 24, header.width || 80, timelineTheme(m, header))
+      .frameAt(time)
+      .title.trim();
+  };
+
+  const splitWithTitles = (m) => splitAtPlayhead(m, { labelAt: (time) => timelineTitleAt(m, time) });
+
+  const display = useMemo(() => normalizeDisplay(model.display), [model.display]);
+
+  const previewFrame = useMemo(() => {
+    let state = null;
+    if (browserTab === "asciinema" && asciinemaPreviewSource?.header) {
+      const t = clamp(asciinemaPreviewTime, 0, asciinemaPreviewSource.duration || 0);
+      state = getSourceFrameCache(
+        asciinemaPreviewSource,
+        asciinemaPreviewSource.header.height || 24,
+        asciinemaPreviewSource.header.width || 80,
+        getTerminalTheme(asciinemaPreviewSource.header),
+      ).frameAt(t).getState({ scrollback: previewScrollback });
+    } else {
+      const activeHeader = headerAtTimelineTime(model, model.playheadTime);
+      if (!activeHeader) {
+        return { state: null, html: "", theme: { fg: "", bg: "" }, cursor: null, title: "", scrollback: { length: 0, offset: 0 } };
+      }
+      const theme = timelineTheme(model, activeHeader);
+      state = getTimelineFrameCache(model, activeHeader.height || 24, activeHeader.width || 80, theme)
+        .frameAt(model.playheadTime)
+        .getState({ scrollback: model.playing ? 0 : previewScrollback });
+    }
+    // The canvas renderer draws from `state`; HTML is still needed by the
+    // pop-out window.
+    const needsHtml = model.settings?.previewRenderer !== "canvas" || previewPoppedOut;
+    return {
+      state,
+      html: needsHtml ? screenStateToHtml(state, { showCursor: true, boldIsBright: display.boldIsBright }) : "",
+      theme: state.theme,
+      cursor: state.cursor,
+      title: state.title,
+      scrollback: state.scrollback,
+    };
+  }, [rev, browserTab, asciinemaPreviewSource, asciinemaPreviewTime, previewScrollback, previewPoppedOut]);
+
+  // Any seek or playback returns the preview to the live screen.
+  useEffect(() => {
+    setPreviewScrollback(0);
+  }, [model.playheadTime, model.playing, browserTab, asciinemaPreviewSource, asciinemaPreviewTime]);
 
   const normalizeEventText = (text) =>
     String(text || "")
@@ -662,6 +854,8 @@ export function App() {
       .replace(/\s+/g, " ")
       .trim();
 
+  const currentTimelineSignature = timelineSignature(model);
+
   const clipPreviewMap = useMemo(() => {
     const map = new Map();
     if (!model.segments.length) return map;
@@ -672,18 +866,17 @@ export function App() {
       if (!header) return;
       const rows = header.height || 24;
       const cols = header.width || 80;
-      const theme = getTerminalTheme(header);
+      const theme = timelineTheme(model, header);
       const start = clipStartInTimeline(model.segments, index);
       const len = segmentLength(seg);
       const t = start + len / 2;
-      const events = getEventsForTimelineTime(model, t);
-      const html = renderTerminalToHtml(rows, cols, events, theme);
-      const plain = decodeHtmlToText(html).replace(/\s+$/g, "");
+      const state = getTimelineFrameCache(model, rows, cols, theme).frameAt(t).getState();
+      const plain = screenStateToText(state, { trimRight: true }).replace(/\s+$/g, "");
       const preview = plain.split("\n").slice(0, 2).join(" ").trim();
       map.set(seg.id, preview || "(no output)");
     });
     return map;
-  }, [rev]);
+  }, [currentTimelineSignature, model.header, model.theme]);
 
   const clipTextMarkers = useMemo(() => {
     const markers = new Map();
@@ -717,11 +910,34 @@ export function App() {
     return markers;
   }, [rev]);
 
+  const timelineSideEvents = useMemo(() => getTimelineSideEvents(model), [rev]);
+
+  const keyLaneBuckets = useMemo(() => {
+    const duration = Math.max(model.composedDuration, 0.001);
+    const buckets = new Map();
+    timelineSideEvents.forEach((event) => {
+      if (event.code !== "i") return;
+      const slot = Math.min(KEY_LANE_BUCKETS - 1, Math.floor((event.time / duration) * KEY_LANE_BUCKETS));
+      const bucket = buckets.get(slot);
+      if (bucket) {
+        bucket.keys += describeKeys(event.data);
+        bucket.count += 1;
+      } else {
+        buckets.set(slot, { time: event.time, keys: describeKeys(event.data), count: 1 });
+      }
+    });
+    return [...buckets.values()];
+  }, [timelineSideEvents]);
+
   const selectedClip = model.segments.find((segment) => segment.id === model.selectedClipId) || null;
+  const selectedClipSideEvents = selectedClip
+    ? timelineSideEvents.filter((event) => event.clipId === selectedClip.id)
+    : [];
   const selectedSource = getSourceById(model, model.selectedSourceId) || model.sources[0] || null;
   const canEdit = model.segments.length > 0 && !!model.header;
   const canUndo = canEdit && model.historyIndex > 0;
   const usingAsciinemaPreview = browserTab === "asciinema" && !!asciinemaPreviewSource?.header;
+
   const previewDuration = usingAsciinemaPreview
     ? Math.max(0, asciinemaPreviewSource?.duration || 0)
     : model.composedDuration;
@@ -729,6 +945,16 @@ export function App() {
   const effectivePreviewTime = usingAsciinemaPreview
     ? clamp(asciinemaPreviewTime, 0, Math.max(0, previewDuration))
     : previewTime;
+  const scrollPreview = (lines) => {
+    if (model.playing && !usingAsciinemaPreview) return;
+    setPreviewScrollback((offset) => clamp(offset + lines, 0, previewFrame.scrollback.length));
+  };
+
+  const onPreviewWheel = (event) => {
+    if (!event.deltaY) return;
+    scrollPreview(event.deltaY < 0 ? 3 : -3);
+  };
+
   const healTolerance = 0.02;
   const healCandidate = (() => {
     if (model.selectedClipIds.length !== 2) return null;
@@ -751,14 +977,14 @@ export function App() {
     model.sources.forEach((source) => {
       if (!source.header) return;
       const theme = getTerminalTheme(source.header);
-      const events = source.outputEvents.filter((event) => event.time <= source.scrubTime);
-      const html = renderTerminalToHtml(
+      const frame = getSourceFrameCache(
+        source,
         Math.min(source.header.height || 24, 8),
         Math.min(source.header.width || 80, 64),
-        events,
         theme,
-      );
-      map.set(source.id, { html, theme });
+        { resizes: false },
+      ).frameAt(source.scrubTime).render();
+      map.set(source.id, { html: frame.html, theme: frame.theme });
     });
     return map;
   }, [rev]);
@@ -821,6 +1047,19 @@ export function App() {
     });
   };
 
+  const addMarker = () => {
+    const m = modelRef.current;
+    if (!m.segments.length) return;
+    const count = getTimelineSideEvents(m).filter((event) => event.code === "m").length;
+    const label = window.prompt("Marker label:", `Marker ${count + 1}`);
+    if (label === null) return;
+    mutate((draft) => {
+      draft.status = addMarkerAtPlayhead(draft, label)
+        ? `Added marker "${label}" at ${fmtTime(draft.playheadTime)}.`
+        : "Markers can only be added to clips with a source.";
+    });
+  };
+
   const healSelectedClips = () => {
     if (!canHeal) return;
     mutate((m) => {
@@ -921,36 +1160,64 @@ export function App() {
     }
   };
 
+  const createSource = (name, parsed) => ({
+    id: crypto.randomUUID(),
+    name,
+    header: parsed.header,
+    events: parsed.events,
+    outputEvents: parsed.outputEvents,
+    inputEvents: parsed.inputEvents,
+    markerEvents: parsed.markerEvents,
+    resizeEvents: parsed.resizeEvents,
+    duration: parsed.duration,
+    scrubTime: firstVisiblePreviewTime(parsed.outputEvents, parsed.duration),
+    inPoint: 0,
+    outPoint: Math.max(0.01, parsed.duration),
+  });
+
+  // Casts are parsed off the main thread; each one shows up in the Project
+  // Browser with its progress and a cancel button while it loads. Casts with
+  // bad lines, or that cannot be parsed at all, are held back for review and
+  // resolve to null; casts with only warnings are imported and the warnings
+  // listed.
   const parseSourceFile = async (file) => {
-    const text = await file.text();
-    const parsed = parseCast(text);
-    const sourceId = crypto.randomUUID();
-    return {
-      id: sourceId,
-      name: file.name,
-      header: parsed.header,
-      events: parsed.events,
-      outputEvents: parsed.outputEvents,
-      duration: parsed.duration,
-      scrubTime: firstVisiblePreviewTime(parsed.outputEvents, parsed.duration),
-      inPoint: 0,
-      outPoint: Math.max(0.01, parsed.duration),
-    };
+    const id = crypto.randomUUID();
+    const controller = new AbortController();
+    setSourceImports((list) => [...list, { id, name: file.name, loaded: 0, total: file.size, controller }]);
+    try {
+      const parsed = await parseCastFile(file, {
+        strict: true,
+        signal: controller.signal,
+        onProgress: (loaded, total) =>
+          setSourceImports((list) => list.map((item) => (item.id === id ? { ...item, loaded, total } : item))),
+      });
+      const { diagnostics, skipped, omitted } = parsed;
+      if (skipped > 0) {
+        setImportReviews((list) => [...list, { id, name: file.name, parsed, diagnostics, skipped, omitted }]);
+        return null;
+      }
+      if (diagnostics.length) {
+        setImportReviews((list) => [
+          ...list,
+          { id, name: file.name, parsed: null, imported: true, diagnostics, skipped, omitted },
+        ]);
+      }
+      return createSource(file.name, parsed);
+    } catch (error) {
+      if (error?.name === "AbortError") throw error;
+      const diagnostics = [{ line: null, severity: "error", message: error?.message || String(error) }];
+      setImportReviews((list) => [...list, { id, name: file.name, parsed: null, diagnostics, skipped: 0, omitted: 0 }]);
+      return null;
+    } finally {
+      setSourceImports((list) => list.filter((item) => item.id !== id));
+    }
   };
 
-  const parseSourceText = (name, text) => {
-    const parsed = parseCast(text);
-    return {
-      id: crypto.randomUUID(),
-      name,
-      header: parsed.header,
-      events: parsed.events,
-      outputEvents: parsed.outputEvents,
-      duration: parsed.duration,
-      scrubTime: firstVisiblePreviewTime(parsed.outputEvents, parsed.duration),
-      inPoint: 0,
-      outPoint: Math.max(0.01, parsed.duration),
-    };
+  const parseSourceText = (name, text) => createSource(name, parseCast(text));
+
+  const parseScriptFiles = async ({ typescript, timing }) => {
+    const parsed = parseScriptRecording(new Uint8Array(await typescript.arrayBuffer()), await timing.text());
+    return createSource(typescript.name, parsed);
   };
 
   const addSourcesToModel = (sources, replace = false) => {
@@ -984,7 +1251,7 @@ export function App() {
           const firstClip = {
             ...createInitialSegment(primary.duration),
             sourceId: primary.id,
-            label: primary.name.replace(/\.(cast|asciicast|json)$/i, "") || "Clip 1",
+            label: sourceLabel(primary.name) || "Clip 1",
           };
           m.segments = [firstClip];
           m.selectedClipId = firstClip.id;
@@ -998,35 +1265,137 @@ export function App() {
     forceRender();
   };
 
+  // ttyrec has no header, so the size comes from the output itself; when that
+  // is only a lower bound the user confirms or corrects it.
+  const parseTtyrecFile = async (file) => {
+    const recording = readTtyrec(await file.arrayBuffer());
+    let size = recording.size;
+    if (!size.confident) {
+      const suggested = `${Math.max(size.cols, 80)}x${Math.max(size.rows, 24)}`;
+      const raw = window.prompt(`Terminal size for ${file.name} (COLSxROWS):`, suggested);
+      if (raw === null) throw new DOMException("Import cancelled", "AbortError");
+      size = parseTerminalSize(raw) || parseTerminalSize(suggested);
+    }
+    return createSource(file.name, ttyrecToCast(recording, size));
+  };
+
+  const parseAnsiLogFile = async (file) =>
+    createSource(file.name, parseAnsiLog(await file.text(), modelRef.current.settings?.logImport));
+
   const isSupportedCastFile = (file) => /\.(cast|asciicast|json)$/i.test(file?.name || "");
 
-  const loadSourceFiles = async (files, replace = false) => {
-    const supported = files.filter(isSupportedCastFile);
-    if (!supported.length) {
-      modelRef.current.status = "No supported cast files found in selection.";
+  // `script -t` recordings come as a typescript plus a timing file. Timing
+  // files are recognized by content and paired only with the file sharing
+  // their base name; timing files without one are returned as `orphans`.
+  const pairScriptFiles = async (files) => {
+    const timings = [];
+    const others = [];
+    const isTiming = async (file) => {
+      try {
+        return looksLikeScriptTiming(await file.slice(0, 4096).text());
+      } catch {
+        return false;
+      }
+    };
+    for (const file of files) {
+      if (await isTiming(file)) timings.push(file);
+      else others.push(file);
+    }
+    const stem = (name) => name.replace(/\.(tm|timing|time|log|typescript|out|txt)$/i, "");
+    const pairs = [];
+    const orphans = [];
+    timings.forEach((timing) => {
+      const index = others.findIndex((file) => stem(file.name) === stem(timing.name));
+      if (index < 0) orphans.push(timing);
+      else pairs.push({ timing, typescript: others.splice(index, 1)[0] });
+    });
+    return { pairs, orphans, unpaired: others };
+  };
+
+  const loadSourceFiles = async (selected, replace = false) => {
+    const { files, failed: unreadableArchives } = await expandArchiveFiles(selected);
+    const castFiles = files.filter(isSupportedCastFile);
+    const ttyrecFiles = files.filter((file) => isTtyrecFileName(file.name));
+    const { pairs: scriptPairs, orphans, unpaired: leftovers } = await pairScriptFiles(
+      files.filter((file) => !isSupportedCastFile(file) && !isTtyrecFileName(file.name)),
+    );
+    // Logs that were not claimed as a typescript get synthetic timing.
+    const logFiles = leftovers.filter((file) => isAnsiLogFileName(file.name));
+    const unpaired = leftovers.filter((file) => !isAnsiLogFileName(file.name));
+    const orphanNote = orphans.length
+      ? `No typescript found for ${orphans.map((file) => file.name).join(", ")}.`
+      : "";
+    if (!castFiles.length && !ttyrecFiles.length && !scriptPairs.length && !logFiles.length) {
+      modelRef.current.status = orphanNote || "No supported recordings found in selection.";
       forceRender();
       return;
     }
 
     const sources = [];
-    let rejected = 0;
-    for (const file of supported) {
+    let rejected = orphans.length + unpaired.length + unreadableArchives;
+    let cancelled = 0;
+    let held = 0;
+    for (const file of castFiles) {
       try {
-        sources.push(await parseSourceFile(file));
+        const source = await parseSourceFile(file);
+        if (source) sources.push(source);
+        else held += 1;
+      } catch (error) {
+        if (error?.name === "AbortError") cancelled += 1;
+        else rejected += 1;
+      }
+    }
+    for (const pair of scriptPairs) {
+      try {
+        sources.push(await parseScriptFiles(pair));
+      } catch {
+        rejected += 1;
+      }
+    }
+    for (const file of ttyrecFiles) {
+      try {
+        sources.push(await parseTtyrecFile(file));
+      } catch (error) {
+        if (error?.name === "AbortError") cancelled += 1;
+        else rejected += 1;
+      }
+    }
+    for (const file of logFiles) {
+      try {
+        sources.push(await parseAnsiLogFile(file));
       } catch {
         rejected += 1;
       }
     }
     if (!sources.length) {
-      modelRef.current.status = "Could not parse any dropped files as asciicast.";
+      if (held > 0) modelRef.current.status = `${held} file(s) have problems; review them in the Project Browser.`;
+      else if (cancelled > 0 && !rejected) modelRef.current.status = "Import cancelled.";
+      else modelRef.current.status = "Could not parse any of the selected recordings.";
+      if (orphanNote) modelRef.current.status += ` ${orphanNote}`;
       forceRender();
       return;
     }
 
     addSourcesToModel(sources, replace);
-    modelRef.current.status = rejected > 0
-      ? `Loaded ${sources.length} file(s), skipped ${rejected}.`
+    const notes = [];
+    if (rejected > 0) notes.push(`skipped ${rejected}`);
+    if (cancelled > 0) notes.push(`cancelled ${cancelled}`);
+    if (held > 0) notes.push(`${held} held for review`);
+    modelRef.current.status = notes.length
+      ? `Loaded ${sources.length} file(s), ${notes.join(", ")}.`
       : `Loaded ${sources.length} file(s).`;
+    if (orphanNote) modelRef.current.status += ` ${orphanNote}`;
+    forceRender();
+  };
+
+  const resolveImportReview = (reviewId, accept) => {
+    const review = importReviews.find((item) => item.id === reviewId);
+    setImportReviews((list) => list.filter((item) => item.id !== reviewId));
+    if (!review?.parsed || !accept) return;
+    addSourcesToModel([createSource(review.name, review.parsed)], false);
+    modelRef.current.status = review.skipped > 0
+      ? `Loaded ${review.name}, skipped ${review.skipped} bad line(s).`
+      : `Loaded ${review.name}.`;
     forceRender();
   };
 
@@ -1039,7 +1408,7 @@ export function App() {
       const clip = {
         id: crypto.randomUUID(),
         sourceId: source.id,
-        label: source.name.replace(/\.(cast|asciicast|json)$/i, ""),
+        label: sourceLabel(source.name),
         start,
         end,
         timelineDuration: Math.max(0.01, end - start),
@@ -1086,6 +1455,68 @@ export function App() {
     }
   };
 
+  const updateDisplay = (patch) => {
+    mutate(
+      (m) => {
+        m.display = { ...m.display, ...patch };
+      },
+      { record: false },
+    );
+  };
+
+  const onUploadFont = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    try {
+      const dataUrl = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+      });
+      const family = file.name.replace(/\.[^.]+$/, "").replace(/["\\]/g, "") || "Uploaded Font";
+      updateDisplay({ webFont: { family, dataUrl }, fontFamily: `"${family}", ${DEFAULT_DISPLAY.fontFamily}` });
+      modelRef.current.status = `Loaded font: ${family}`;
+      forceRender();
+    } catch (error) {
+      modelRef.current.status = `Font upload failed: ${error.message}`;
+      forceRender();
+    } finally {
+      event.target.value = "";
+    }
+  };
+
+  const selectTheme = (themeId) => {
+    mutate(
+      (m) => {
+        m.theme = BUILTIN_THEMES.find((theme) => theme.id === themeId)
+          || (m.theme?.id === themeId ? m.theme : null);
+        m.status = m.theme ? `Theme: ${m.theme.name}` : "Theme: from recording";
+      },
+      { record: false },
+    );
+  };
+
+  const onImportTheme = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    try {
+      const theme = importThemeFile(file.name, await file.text());
+      mutate(
+        (m) => {
+          m.theme = theme;
+          m.status = `Imported theme: ${theme.name}`;
+        },
+        { record: false },
+      );
+    } catch (error) {
+      modelRef.current.status = `Theme import failed: ${error.message}`;
+      forceRender();
+    } finally {
+      event.target.value = "";
+    }
+  };
+
   const createProjectStateSnapshot = () => {
     const m = modelRef.current;
     return {
@@ -1101,6 +1532,8 @@ export function App() {
       selectedClipIds: m.selectedClipIds,
       playheadTime: m.playheadTime,
       speed: m.speed,
+      theme: m.theme,
+      display: m.display,
       clipboardSegment: m.clipboardSegment,
       panels: m.panels,
       settings: m.settings,
@@ -1122,16 +1555,23 @@ export function App() {
         m.events = Array.isArray(state.events) ? state.events : [];
         m.outputEvents = Array.isArray(state.outputEvents) ? state.outputEvents : [];
         m.duration = Number(state.duration) || 0;
-        m.sources = Array.isArray(state.sources) ? state.sources : [];
+        // Projects saved before some event streams existed get them all
+        // rebuilt from the raw events.
+        m.sources = (Array.isArray(state.sources) ? state.sources : []).map((source) => {
+          if (source.outputEvents && source.inputEvents && source.markerEvents && source.resizeEvents) return source;
+          return { ...source, ...eventStreams(source.events || []) };
+        });
         m.selectedSourceId = state.selectedSourceId || null;
         m.segments = Array.isArray(state.segments) ? state.segments : [];
         m.selectedClipId = state.selectedClipId || null;
         m.selectedClipIds = Array.isArray(state.selectedClipIds) ? state.selectedClipIds : [];
         m.playheadTime = Number(state.playheadTime) || 0;
         m.speed = Number(state.speed) || 1;
+        m.theme = state.theme || null;
+        m.display = normalizeDisplay(state.display);
         m.clipboardSegment = state.clipboardSegment || null;
         m.panels = state.panels || m.panels;
-        m.settings = state.settings || { shortcuts: { ...DEFAULT_SHORTCUTS } };
+        m.settings = { ...m.settings, ...(state.settings || { shortcuts: { ...DEFAULT_SHORTCUTS } }) };
         m.status = `Loaded project: ${m.projectName}`;
       },
       { record: false },
@@ -1207,23 +1647,44 @@ export function App() {
     };
     mutate(
       (m) => {
-        m.settings = { shortcuts: next };
+        m.settings = { ...m.settings, shortcuts: next };
         m.status = `Shortcut updated: ${name} -> ${shortcut}`;
       },
       { record: false },
     );
-    saveShortcutsToStorage(next);
+    saveSettingsToStorage(modelRef.current.settings);
   };
 
   const resetShortcuts = () => {
     mutate(
       (m) => {
-        m.settings = { shortcuts: { ...DEFAULT_SHORTCUTS } };
+        m.settings = { ...m.settings, shortcuts: { ...DEFAULT_SHORTCUTS } };
         m.status = "Shortcuts reset to defaults.";
       },
       { record: false },
     );
-    saveShortcutsToStorage({ ...DEFAULT_SHORTCUTS });
+    saveSettingsToStorage(modelRef.current.settings);
+  };
+
+  const updateLogImport = (patch) => {
+    mutate(
+      (m) => {
+        m.settings = { ...m.settings, logImport: { ...DEFAULT_LOG_TIMING, ...m.settings.logImport, ...patch } };
+      },
+      { record: false },
+    );
+    saveSettingsToStorage(modelRef.current.settings);
+  };
+
+  const updatePreviewRenderer = (previewRenderer) => {
+    mutate(
+      (m) => {
+        m.settings = { ...m.settings, previewRenderer };
+        m.status = `Preview renderer: ${previewRenderer}`;
+      },
+      { record: false },
+    );
+    saveSettingsToStorage(modelRef.current.settings);
   };
 
   const extractAsciinemaClipsFromHtml = (html) => {
@@ -1447,14 +1908,7 @@ export function App() {
     const payload = JSON.stringify(edited, null, 2);
     const blob = new Blob([payload], { type: "application/json" });
     const defaultName = "edited.asciicast.json";
-    const saveWithDownload = (name) => {
-      const url = URL.createObjectURL(blob);
-      const anchor = document.createElement("a");
-      anchor.href = url;
-      anchor.download = name || defaultName;
-      anchor.click();
-      URL.revokeObjectURL(url);
-    };
+    const saveWithDownload = (name) => downloadBlob(blob, name || defaultName);
 
     const saveAs = async () => {
       try {
@@ -1492,6 +1946,20 @@ export function App() {
     void saveAs();
   };
 
+  // Saves the previewed frame with the current display settings, so exported
+  // images match what the Preview panel shows.
+  const exportFrame = (format) => {
+    const { state } = previewFrame;
+    if (!state) return;
+    const options = { ...display, showCursor: true, title: state.title || undefined };
+    const blob = format === "svg"
+      ? new Blob([screenStateToSvg(state, options)], { type: "image/svg+xml" })
+      : new Blob([screenStateToHtmlDocument(state, options)], { type: "text/html" });
+    downloadBlob(blob, `frame.${format}`);
+    modelRef.current.status = `Frame exported as frame.${format}.`;
+    forceRender();
+  };
+
   const hideContextMenu = () => {
     const model = modelRef.current;
     if (!model.contextMenu.visible) return;
@@ -1512,6 +1980,15 @@ export function App() {
     );
   };
 
+  const seekTimeline = (time) => {
+    mutate(
+      (m) => {
+        m.playheadTime = clamp(time, 0, m.composedDuration);
+      },
+      { record: false },
+    );
+  };
+
   const beginPlayheadDrag = (downEvent) => {
     downEvent.preventDefault();
     downEvent.stopPropagation();
@@ -1567,11 +2044,27 @@ export function App() {
           height: 100%;
           box-sizing: border-box;
         }
+        .term-link { color: inherit; text-decoration: underline dotted; }
+        .term-link:hover { text-decoration-style: solid; }
+        .term-cursor { position: relative; }
+        .term-cursor::after {
+          content: "";
+          position: absolute;
+          pointer-events: none;
+          background: var(--cursor-color, currentColor);
+        }
+        .term-cursor-block::after { inset: 0; mix-blend-mode: difference; }
+        .term-cursor-underline::after { left: 0; right: 0; bottom: 0; height: 2px; }
+        .term-cursor-bar::after { top: 0; bottom: 0; left: 0; width: 2px; }
+        .term-cursor-blink::after { animation: term-cursor-blink 1s steps(1) infinite; }
+        @keyframes term-cursor-blink { 50% { opacity: 0; } }
+        @keyframes term-blink { 50% { color: transparent; } }
       </style>
       <div class="bar">
         <span id="popup-time">00:00.000</span>
-        <span>Pop-out Preview</span>
+        <span id="popup-title">Pop-out Preview</span>
       </div>
+      <style id="popup-font"></style>
       <pre id="popup-preview-root" class="terminal"></pre>
     `;
   };
@@ -1606,22 +2099,43 @@ export function App() {
     setPreviewPoppedOut(false);
   };
 
+  useEffect(() => {
+    const webFont = model.display.webFont;
+    if (!webFont || typeof FontFace === "undefined") return undefined;
+    const face = new FontFace(webFont.family, `url(${webFont.dataUrl})`);
+    document.fonts.add(face);
+    face.load().catch(() => {
+      modelRef.current.status = `Could not load font: ${webFont.family}`;
+      forceRender();
+    });
+    return () => {
+      document.fonts.delete(face);
+    };
+  }, [model.display.webFont]);
+
   useEffect(() => {
     const win = previewPopupRef.current;
     if (!win || win.closed) return;
     ensurePreviewPopupSkeleton(win);
     const terminal = win.document.getElementById("popup-preview-root");
     const time = win.document.getElementById("popup-time");
+    const title = win.document.getElementById("popup-title");
+    const font = win.document.getElementById("popup-font");
+    const { webFont } = display;
+    const fontCss = webFont ? `@font-face { font-family: "${webFont.family}"; src: url("${webFont.dataUrl}"); }` : "";
+    if (font && font.textContent !== fontCss) font.textContent = fontCss;
     if (terminal) {
       terminal.style.color = previewFrame.theme.fg || "#e7edf3";
       terminal.style.backgroundColor = previewFrame.theme.bg || "#141922";
+      Object.assign(terminal.style, displayStyle(display));
       terminal.innerHTML = previewFrame.html || "";
     }
     const popupTime = browserTab === "asciinema" && asciinemaPreviewSource?.header
       ? asciinemaPreviewTime
       : model.playheadTime;
     if (time) time.textContent = fmtTime(popupTime);
-  }, [previewFrame.html, previewFrame.theme.bg, previewFrame.theme.fg, model.playheadTime, browserTab, asciinemaPreviewSource, asciinemaPreviewTime]);
+    if (title) title.textContent = previewFrame.title || "Pop-out Preview";
+  }, [previewFrame.html, previewFrame.theme.bg, previewFrame.theme.fg, previewFrame.title, display, model.playheadTime, browserTab, asciinemaPreviewSource, asciinemaPreviewTime]);
 
   useEffect(() => {
     return () => {
@@ -1697,6 +2211,118 @@ export function App() {
                 <div className="settings-actions">
                   <button onClick={resetShortcuts}>Reset</button>
                 </div>
+                <div className="settings-title">Preview</div>
+                <div className="settings-row">
+                  <span>Renderer</span>
+                  <select
+                    value={model.settings?.previewRenderer || "html"}
+                    onChange={(event) => updatePreviewRenderer(event.target.value)}
+                  >
+                    {PREVIEW_RENDERERS.map((renderer) => (
+                      <option key={renderer.value} value={renderer.value}>{renderer.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="settings-title">Log Import Timing</div>
+                <div className="settings-row">
+                  <span>Chars / second</span>
+                  <input
+                    type="number"
+                    min="1"
+                    value={model.settings.logImport?.charsPerSecond ?? DEFAULT_LOG_TIMING.charsPerSecond}
+                    onChange={(event) => updateLogImport({ charsPerSecond: event.target.value })}
+                  />
+                </div>
+                <div className="settings-row">
+                  <span>Line delay (s)</span>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={model.settings.logImport?.lineDelay ?? DEFAULT_LOG_TIMING.lineDelay}
+                    onChange={(event) => updateLogImport({ lineDelay: event.target.value })}
+                  />
+                </div>
+                <div className="settings-row">
+                  <span>Prompt pause (s)</span>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    value={model.settings.logImport?.promptPause ?? DEFAULT_LOG_TIMING.promptPause}
+                    onChange={(event) => updateLogImport({ promptPause: event.target.value })}
+                  />
+                </div>
+                <div className="settings-row">
+                  <span>Prompt regex</span>
+                  <input
+                    value={model.settings.logImport?.promptPattern ?? DEFAULT_LOG_TIMING.promptPattern}
+                    onChange={(event) => updateLogImport({ promptPattern: event.target.value })}
+                    title="Matched at the start of each line; playback pauses after the match"
+                  />
+                </div>
+                <div className="settings-title">Display (saved with project)</div>
+                <div className="settings-row">
+                  <span>Font</span>
+                  <input
+                    value={model.display.fontFamily}
+                    onChange={(event) => updateDisplay({ fontFamily: event.target.value })}
+                  />
+                </div>
+                <div className="settings-row">
+                  <span>Web font</span>
+                  <label className="btn">
+                    {model.display.webFont ? model.display.webFont.family : "Upload..."}
+                    <input type="file" accept=".woff,.woff2,.ttf,.otf" hidden onChange={onUploadFont} />
+                  </label>
+                </div>
+                {model.display.webFont && (
+                  <div className="settings-actions">
+                    <button onClick={() => updateDisplay({ webFont: null, fontFamily: DEFAULT_DISPLAY.fontFamily })}>
+                      Remove web font
+                    </button>
+                  </div>
+                )}
+                <div className="settings-row">
+                  <span>Size (px)</span>
+                  <input
+                    type="number"
+                    min="6"
+                    max="48"
+                    value={model.display.fontSize}
+                    onChange={(event) => updateDisplay({ fontSize: event.target.value })}
+                  />
+                </div>
+                <div className="settings-row">
+                  <span>Line height</span>
+                  <input
+                    type="number"
+                    min="0.8"
+                    max="3"
+                    step="0.05"
+                    value={model.display.lineHeight}
+                    onChange={(event) => updateDisplay({ lineHeight: event.target.value })}
+                  />
+                </div>
+                <div className="settings-row">
+                  <span>Letter spacing (px)</span>
+                  <input
+                    type="number"
+                    min="-2"
+                    max="10"
+                    step="0.5"
+                    value={model.display.letterSpacing}
+                    onChange={(event) => updateDisplay({ letterSpacing: event.target.value })}
+                  />
+                </div>
+                <div className="settings-row">
+                  <span>Bold as bright</span>
+                  <input
+                    type="checkbox"
+                    checked={!!model.display.boldIsBright}
+                    onChange={(event) => updateDisplay({ boldIsBright: event.target.checked })}
+                  />
+                </div>
               </div>
             )}
           </div>
@@ -1767,20 +2393,68 @@ export function App() {
                 <div className="browser-toolbar">
                   <label className="btn">
                     Add Cast Files
-                    <input type="file" accept=".json,.cast,.asciicast" multiple hidden onChange={(event) => onLoadFiles(event, false)} />
+                    <input type="file" accept={IMPORT_ACCEPT} multiple hidden onChange={(event) => onLoadFiles(event, false)} />
                   </label>
                   <button onClick={saveCurrentProject}>Save Project</button>
                   {selectedSource && (
                     <button onClick={() => addSourceToTimeline(selectedSource.id)}>Add In/Out to Timeline</button>
                   )}
                 </div>
+                {sourceImports.length > 0 && (
+                  <div className="import-progress-list">
+                    {sourceImports.map((item) => (
+                      <div key={item.id} className="import-progress">
+                        <span className="import-progress-name" title={item.name}>{item.name}</span>
+                        <progress max={Math.max(1, item.total)} value={item.loaded} />
+                        <span className="import-progress-pct">
+                          {Math.round((item.loaded / Math.max(1, item.total)) * 100)}%
+                        </span>
+                        <button onClick={() => item.controller.abort()}>Cancel</button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {importReviews.map((review) => (
+                  <div key={review.id} className="import-review">
+                    <div className="import-review-head">
+                      <span className="import-progress-name" title={review.name}>{review.name}</span>
+                      <span className="hint">
+                        {review.diagnostics.length + review.omitted}{" "}
+                        {review.imported ? "warning(s), imported" : "problem(s)"}
+                      </span>
+                    </div>
+                    <ul className="import-review-list">
+                      {review.diagnostics.map((diagnostic, index) => (
+                        <li key={index} className={diagnostic.severity}>
+                          {diagnostic.line ? `Line ${diagnostic.line}: ` : ""}
+                          {diagnostic.message}
+                        </li>
+                      ))}
+                      {review.omitted > 0 && <li>…and {review.omitted} more</li>}
+                    </ul>
+                    <div className="import-review-actions">
+                      {review.parsed && (
+                        <button onClick={() => resolveImportReview(review.id, true)}>
+                          {review.skipped > 0
+                            ? `Import anyway, skipping ${review.skipped} bad line(s)`
+                            : "Import anyway"}
+                        </button>
+                      )}
+                      <button onClick={() => resolveImportReview(review.id, false)}>
+                        {review.imported ? "Dismiss" : "Discard"}
+                      </button>
+                    </div>
+                  </div>
+                ))}
                 <div className="source-list">
                 {model.sources.length === 0 ? (
                   <div className="browser-empty-state">
                     <div className="browser-empty-icon" aria-hidden="true">.cast</div>
-                    <div className="browser-empty-title">Drag Cast Files Here</div>
+                    <div className="browser-empty-title">Drag Recordings Here</div>
                     <div className="browser-empty-text">
-                      Drop `.cast`, `.asciicast`, or `.json` files from your OS file browser.
+                      Drop `.cast`, `.asciicast`, or `.json` files from your OS file browser, optionally
+                      gzipped or in a `.zip`. ttyrec files, `script -t` typescript/timing pairs, and raw
+                      `.log`, `.ans`, or `.txt` terminal logs are imported too.
                     </div>
                     <div className="browser-empty-text">
                       You can also use the “Add Cast Files” button above.
@@ -2055,7 +2729,11 @@ export function App() {
           onFocus={focusPanel}
           minWidth={360}
           minHeight={260}
-          controls={<div className="hint">Interactive preview editor</div>}
+          controls={(
+            <div className="hint preview-title" title={previewFrame.title || undefined}>
+              {previewFrame.title || "Interactive preview editor"}
+            </div>
+          )}
         >
           <div className="preview-toolbar">
             <button
@@ -2105,19 +2783,60 @@ export function App() {
                 <option value="2">2x</option>
               </select>
             </label>
+            <label>
+              Theme
+              <select value={model.theme?.id || ""} onChange={(event) => selectTheme(event.target.value)}>
+                <option value="">Recording</option>
+                {BUILTIN_THEMES.map((theme) => (
+                  <option key={theme.id} value={theme.id}>{theme.name}</option>
+                ))}
+                {model.theme && !BUILTIN_THEMES.some((theme) => theme.id === model.theme.id) && (
+                  <option value={model.theme.id}>{model.theme.name}</option>
+                )}
+              </select>
+            </label>
+            <label className="btn" title="iTerm2, Windows Terminal, Alacritty or Xresources color file">
+              Import Theme
+              <input
+                type="file"
+                accept=".itermcolors,.json,.yml,.yaml,.toml,.Xresources,.xresources,.Xdefaults"
+                hidden
+                onChange={onImportTheme}
+              />
+            </label>
             <button onClick={previewPoppedOut ? closePreviewPopup : openPreviewPopup}>
               {previewPoppedOut ? "Dock Preview" : "Pop Out Preview"}
             </button>
+            <button onClick={() => exportFrame("svg")} disabled={!previewFrame.state}>Export Frame SVG</button>
+            <button onClick={() => exportFrame("html")} disabled={!previewFrame.state}>Export Frame HTML</button>
+            {previewFrame.scrollback.offset > 0 && (
+              <button onClick={() => setPreviewScrollback(0)} title="Scrolled back; return to the live screen">
+                Live (-{previewFrame.scrollback.offset})
+              </button>
+            )}
           </div>
 
-          <pre
-            className="terminal"
-            style={{
-              color: previewFrame.theme.fg,
-              backgroundColor: previewFrame.theme.bg,
-            }}
-            dangerouslySetInnerHTML={{ __html: previewFrame.html }}
-          />
+          {model.settings?.previewRenderer === "canvas" ? (
+            <TerminalCanvas
+              className="terminal"
+              state={previewFrame.state}
+              display={display}
+              showCursor
+              style={{ backgroundColor: previewFrame.theme.bg }}
+              onWheel={onPreviewWheel}
+            />
+          ) : (
+            <pre
+              className="terminal"
+              style={{
+                ...displayStyle(display),
+                color: previewFrame.theme.fg,
+                backgroundColor: previewFrame.theme.bg,
+              }}
+              onWheel={onPreviewWheel}
+              dangerouslySetInnerHTML={{ __html: previewFrame.html }}
+            />
+          )}
 
           <div className="seek-row">
             <input
@@ -2231,7 +2950,9 @@ export function App() {
               addSourceToTimeline(sourceId, targetTime);
             }}
             onPointerDown={(event) => {
-              if (event.target.closest(".clip") || event.target.closest(".playhead")) return;
+              if (event.target.closest(".clip") || event.target.closest(".playhead") || event.target.closest(".timeline-event")) {
+                return;
+              }
               hideContextMenu();
               setPlayheadFromClientX(event.clientX);
             }}
@@ -2372,6 +3093,33 @@ export function App() {
               );
             })}
 
+            <div className="timeline-lane keys-lane">
+              <span className="timeline-lane-label">Keys</span>
+              {keyLaneBuckets.map((bucket) => (
+                <button
+                  key={`key-${bucket.time.toFixed(4)}`}
+                  className="timeline-event key-event"
+                  style={{ left: `${(bucket.time / Math.max(model.composedDuration, 0.001)) * 100}%` }}
+                  title={`${fmtTime(bucket.time)} ${bucket.keys.slice(0, 80)}`}
+                  onClick={() => seekTimeline(bucket.time)}
+                />
+              ))}
+            </div>
+            <div className="timeline-lane markers-lane">
+              <span className="timeline-lane-label">Markers</span>
+              {timelineSideEvents.filter((event) => event.code === "m").map((event, index) => (
+                <button
+                  key={`marker-${event.clipId}-${index}`}
+                  className="timeline-event marker-event"
+                  style={{ left: `${(event.time / Math.max(model.composedDuration, 0.001)) * 100}%` }}
+                  title={`${fmtTime(event.time)} ${event.data}`}
+                  onClick={() => seekTimeline(event.time)}
+                >
+                  {event.data}
+                </button>
+              ))}
+            </div>
+
             <div
               className="playhead"
               style={{ left: `${model.composedDuration <= 0 ? 0 : (model.playheadTime / model.composedDuration) * 100}%` }}
@@ -2382,7 +3130,7 @@ export function App() {
           <div className="timeline-actions">
             <button
               className="icon-action"
-              onClick={() => mutate((m) => splitAtPlayhead(m))}
+              onClick={() => mutate((m) => splitWithTitles(m))}
               disabled={!canEdit}
               title="Split"
               aria-label="Split"
@@ -2404,6 +3152,18 @@ export function App() {
               </svg>
               <span className="sr-only">Heal</span>
             </button>
+            <button
+              className="icon-action"
+              onClick={addMarker}
+              disabled={!canEdit}
+              title="Add Marker"
+              aria-label="Add Marker"
+            >
+              <svg viewBox="0 0 24 24" width="16" height="16" aria-hidden="true">
+                <path fill="currentColor" d="M6 3h2v18H6V3zm3 1h10l-3 4 3 4H9V4z" />
+              </svg>
+              <span className="sr-only">Add Marker</span>
+            </button>
           </div>
 
           <div className="clip-inspector">
@@ -2464,6 +3224,42 @@ export function App() {
                 </button>
               </div>
             )}
+            {selectedClip && (
+              <div className="inspector-events">
+                {selectedClipSideEvents.length === 0 ? (
+                  <div className="hint">No input, marker or resize events in this clip.</div>
+                ) : (
+                  <table>
+                    <tbody>
+                      {selectedClipSideEvents.slice(0, INSPECTOR_EVENT_LIMIT).map((event, index) => (
+                        <tr key={`${event.code}-${index}`} onClick={() => seekTimeline(event.time)}>
+                          <td>{fmtTime(event.time)}</td>
+                          <td className={`event-kind ${event.code}`}>{SIDE_EVENT_KINDS[event.code]}</td>
+                          <td className="event-data">{event.code === "i" ? describeKeys(event.data) : event.data}</td>
+                          <td>
+                            {event.code === "m" && (
+                              <button
+                                onClick={(clickEvent) => {
+                                  clickEvent.stopPropagation();
+                                  mutate((m) => {
+                                    removeMarker(m, event.sourceId, event.sourceTime, event.data);
+                                  });
+                                }}
+                              >
+                                Remove
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+                {selectedClipSideEvents.length > INSPECTOR_EVENT_LIMIT && (
+                  <div className="hint">…and {selectedClipSideEvents.length - INSPECTOR_EVENT_LIMIT} more</div>
+                )}
+              </div>
+            )}
           </div>
         </FloatingPanel>
 
@@ -0,0 +1,62 @@
+import React, { useEffect, useRef } from "react";
+import { createCanvasRenderer } from "../lib/canvasRenderer";
+
+export function TerminalCanvas({ state, display, showCursor = false, className, style, onWheel }) {
+  const canvasRef = useRef(null);
+  const rendererRef = useRef(null);
+  const latest = useRef({ state, showCursor });
+  latest.current = { state, showCursor };
+
+  useEffect(() => {
+    const renderer = createCanvasRenderer(canvasRef.current, display);
+    rendererRef.current = renderer;
+    const redraw = () => {
+      if (rendererRef.current !== renderer || !latest.current.state) return;
+      renderer.invalidate();
+      renderer.draw(latest.current.state, { showCursor: latest.current.showCursor });
+    };
+    redraw();
+    // Glyph metrics change once a web font finishes loading.
+    document.fonts?.ready.then(redraw);
+    document.fonts?.addEventListener("loadingdone", redraw);
+    return () => {
+      document.fonts?.removeEventListener("loadingdone", redraw);
+      rendererRef.current = null;
+    };
+  }, [display]);
+
+  // Half of the 1s blink period used by the HTML export.
+  useEffect(() => {
+    const timer = window.setInterval(() => rendererRef.current?.blink(), 500);
+    return () => window.clearInterval(timer);
+  }, []);
+
+  const linkAtEvent = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    return rendererRef.current?.linkAt(event.clientX - rect.left, event.clientY - rect.top) || null;
+  };
+
+  const handleClick = (event) => {
+    const link = linkAtEvent(event);
+    if (link) window.open(link, "_blank", "noopener,noreferrer");
+  };
+
+  const handleMouseMove = (event) => {
+    event.currentTarget.style.cursor = linkAtEvent(event) ? "pointer" : "";
+  };
+
+  useEffect(() => {
+    if (state && rendererRef.current) rendererRef.current.draw(state, { showCursor });
+  }, [state, showCursor]);
+
+  return (
+    <div className={className} style={style} onWheel={onWheel}>
+      <canvas
+        ref={canvasRef}
+        className="terminal-canvas"
+        onClick={handleClick}
+        onMouseMove={handleMouseMove}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import { castFromEvents, normalizeHeader } from "./castParser.js";
+import { guessTerminalSize } from "./ttyrecImporter.js";
+
+export const DEFAULT_LOG_TIMING = {
+  charsPerSecond: 600,
+  lineDelay: 0.05,
+  promptPause: 0.8,
+  // Matched against each line without escape sequences; the pause happens
+  // right after the match, before the command is "typed".
+  promptPattern: "^[^\\n]{0,80}?[$#%>❯] ",
+};
+
+// Chunks are cut so playback updates about this many times per second.
+const CHUNKS_PER_SECOND = 30;
+const TOKEN = /\u001b\[[0-?]*[ -/]*[@-~]|\u001b\][^\u0007\u001b]*(?:\u0007|\u001b\\)?|\u001b[\s\S]?|[^\u001b]+/g;
+
+export const isAnsiLogFileName = (name) => /\.(log|ans|txt)$/i.test(name || "");
+
+function promptEnd(line, pattern) {
+  if (!pattern) return -1;
+  const plain = line.replace(TOKEN, (token) => (token[0] === "\u001b" ? "" : token));
+  const match = plain.match(pattern);
+  return match && match.index === 0 && match[0].length > 0 ? [...match[0]].length : -1;
+}
+
+/**
+ * Turns a captured ANSI log (no timing) into the parsed-cast shape. Text is
+ * "typed" at `charsPerSecond`, each line ending adds `lineDelay` seconds and a
+ * line starting with a prompt (`promptPattern`) pauses `promptPause` seconds
+ * after the prompt. Escape sequences are never split across events.
+ */
+export function parseAnsiLog(text, options = {}) {
+  const timing = { ...DEFAULT_LOG_TIMING, ...options };
+  const cps = Math.max(1, Number(timing.charsPerSecond) || DEFAULT_LOG_TIMING.charsPerSecond);
+  const lineDelay = Math.max(0, Number(timing.lineDelay) || 0);
+  const promptPause = Math.max(0, Number(timing.promptPause) || 0);
+  let pattern = null;
+  try {
+    pattern = timing.promptPattern ? new RegExp(timing.promptPattern) : null;
+  } catch {
+    throw new Error(`Invalid prompt pattern: ${timing.promptPattern}`);
+  }
+  const chunkSize = Math.max(1, Math.ceil(cps / CHUNKS_PER_SECOND));
+
+  // Logs written through `tee` usually have bare LFs; players need CR LF.
+  const normalized = String(text).replace(/\r?\n/g, "\r\n");
+  const lines = normalized.match(/[^\n]*\n|[^\n]+$/g) || [];
+
+  const events = [];
+  let time = 0;
+  let chunk = "";
+  let chunkChars = 0;
+  const flush = () => {
+    if (!chunk) return;
+    time += chunkChars / cps;
+    events.push([Number(time.toFixed(6)), "o", chunk]);
+    chunk = "";
+    chunkChars = 0;
+  };
+
+  for (const line of lines) {
+    const pauseAt = promptEnd(line, pattern);
+    let plainChars = 0;
+    for (const token of line.match(TOKEN) || []) {
+      if (token[0] === "\u001b") {
+        chunk += token;
+        continue;
+      }
+      // Counted in code points so surrogate pairs (emoji) are never split
+      // across events.
+      const codePoints = [...token];
+      let index = 0;
+      while (index < codePoints.length) {
+        let take = Math.min(codePoints.length - index, chunkSize - chunkChars);
+        if (pauseAt > plainChars) take = Math.min(take, pauseAt - plainChars);
+        chunk += codePoints.slice(index, index + take).join("");
+        chunkChars += take;
+        plainChars += take;
+        index += take;
+        if (plainChars === pauseAt) {
+          flush();
+          time += promptPause;
+        } else if (chunkChars >= chunkSize) {
+          flush();
+        }
+      }
+    }
+    if (line.endsWith("\n")) {
+      flush();
+      time += lineDelay;
+    }
+  }
+  flush();
+
+  const size = guessTerminalSize(normalized.slice(0, 2 * 1024 * 1024));
+  const header = {
+    version: 2,
+    width: size.confident ? size.cols : Math.min(Math.max(size.cols, 80), 200),
+    height: size.confident ? size.rows : Math.min(Math.max(size.rows, 24), 60),
+  };
+  return castFromEvents(normalizeHeader(header), events);
+}
@@ -0,0 +1,97 @@
+const GZIP_MAGIC = [0x1f, 0x8b];
+const ZIP_MAGIC = [0x50, 0x4b, 0x03, 0x04];
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+const startsWith = (bytes, magic) => magic.every((value, i) => bytes[i] === value);
+
+async function decompress(bytes, format) {
+  if (typeof DecompressionStream === "undefined") {
+    throw new Error("This browser cannot decompress files");
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function findEndOfCentralDirectory(view) {
+  // The record is 22 bytes plus a comment of at most 65535 bytes.
+  const last = Math.max(0, view.byteLength - 22 - 65535);
+  for (let offset = view.byteLength - 22; offset >= last; offset -= 1) {
+    if (view.getUint32(offset, true) === EOCD_SIGNATURE) return offset;
+  }
+  throw new Error("Zip central directory not found");
+}
+
+/**
+ * Lists the files in a zip archive as `{ name, bytes }`, inflating deflated
+ * entries. Directories, macOS resource forks and dotfiles are skipped;
+ * encrypted and zip64 archives are rejected.
+ */
+export async function readZipEntries(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = findEndOfCentralDirectory(view);
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  if (offset === 0xffffffff) throw new Error("Zip64 archives are not supported");
+
+  const decoder = new TextDecoder();
+  const entries = [];
+  for (let i = 0; i < count; i += 1) {
+    if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) throw new Error("Corrupt zip central directory");
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    const baseName = name.split("/").pop();
+    if (!baseName || baseName.startsWith(".") || name.startsWith("__MACOSX/")) continue;
+    if (flags & 1) throw new Error(`${name} is encrypted`);
+    if (compressedSize === 0xffffffff) throw new Error("Zip64 archives are not supported");
+    if (view.getUint32(localOffset, true) !== LOCAL_SIGNATURE) throw new Error(`Corrupt zip entry: ${name}`);
+
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) entries.push({ name, bytes: data });
+    else if (method === 8) entries.push({ name, bytes: await decompress(data, "deflate-raw") });
+    else throw new Error(`${name} uses unsupported compression method ${method}`);
+  }
+  return entries;
+}
+
+/**
+ * Replaces gzip files and zip archives in `files` by the files they contain
+ * (`demo.cast.gz` becomes `demo.cast`; each zip member keeps its path).
+ * Archives are recognized by their magic bytes. Returns the expanded list
+ * and the number of archives and files that could not be read.
+ */
+export async function expandArchiveFiles(files) {
+  const expanded = [];
+  let failed = 0;
+  const pending = [...files];
+  while (pending.length) {
+    const file = pending.shift();
+    try {
+      // Unreadable entries (such as dropped folders) count as failed.
+      const head = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+      if (startsWith(head, GZIP_MAGIC)) {
+        const bytes = await decompress(await file.arrayBuffer(), "gzip");
+        pending.push(new File([bytes], file.name.replace(/\.gz$/i, "") || file.name));
+      } else if (startsWith(head, ZIP_MAGIC)) {
+        const entries = await readZipEntries(new Uint8Array(await file.arrayBuffer()));
+        // Members go back through the loop so a `.cast.gz` inside a zip works.
+        entries.forEach((entry) => pending.push(new File([entry.bytes], entry.name)));
+      } else {
+        expanded.push(file);
+      }
+    } catch {
+      failed += 1;
+    }
+  }
+  return { files: expanded, failed };
+}
@@ -0,0 +1,203 @@
+import { resolveColors, safeLink } from "./screenSerializers.js";
+
+const DEFAULT_FONT_FAMILY = '"IBM Plex Mono", Menlo, monospace';
+
+function cellFont(attrs, fontSize, fontFamily) {
+  return `${attrs.italic ? "italic " : ""}${attrs.bold ? "700 " : ""}${fontSize}px ${fontFamily}`;
+}
+
+function rowChanged(previous, next) {
+  if (!previous || previous.length !== next.length) return true;
+  for (let c = 0; c < next.length; c += 1) {
+    if (previous[c] !== next[c]) return true;
+  }
+  return false;
+}
+
+const rowBlinks = (line) => line.some((cell) => cell.attrs.blink);
+
+/**
+ * Draws screen states (see `getState()`) onto a 2D canvas using the display
+ * options (`fontFamily`, `fontSize`, `lineHeight`, `letterSpacing`,
+ * `boldIsBright`). Public cells are memoized by the emulator, so a row whose
+ * cells are all identical to the last drawn row is skipped; only changed rows
+ * and the rows the cursor left or entered are repainted. `blink()` flips the
+ * blink phase and repaints only rows holding blinking text or a blinking
+ * cursor; `linkAt(x, y)` maps a point in CSS pixels to the cell's safe link.
+ */
+export function createCanvasRenderer(canvas, options = {}) {
+  const ctx = canvas.getContext("2d");
+  const fontSize = options.fontSize || 14;
+  const fontFamily = options.fontFamily || DEFAULT_FONT_FAMILY;
+  const lineHeight = options.lineHeight || 1.2;
+  const letterSpacing = Number(options.letterSpacing) || 0;
+  let metrics = null;
+  let previous = null;
+  // True during the half of the blink period in which blinking text is hidden.
+  let blinkHidden = false;
+
+  const measure = () => {
+    ctx.font = cellFont({}, fontSize, fontFamily);
+    return {
+      cellWidth: ctx.measureText("M").width + letterSpacing,
+      cellHeight: Math.round(fontSize * lineHeight),
+      ratio: window.devicePixelRatio || 1,
+    };
+  };
+
+  const resizeCanvas = (state) => {
+    metrics = measure();
+    const width = Math.ceil(state.cols * metrics.cellWidth);
+    const height = state.rows * metrics.cellHeight;
+    canvas.width = Math.ceil(width * metrics.ratio);
+    canvas.height = Math.ceil(height * metrics.ratio);
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${height}px`;
+  };
+
+  const drawDecorations = (attrs, link, x, y, width, color) => {
+    const { cellHeight } = metrics;
+    ctx.fillStyle = attrs.underline && attrs.underlineColor ? attrs.underlineColor : color;
+    if (attrs.underline) ctx.fillRect(x, y + cellHeight - 2, width, 1);
+    if (attrs.underline === "double") ctx.fillRect(x, y + cellHeight - 4, width, 1);
+    ctx.fillStyle = color;
+    if (link && !attrs.underline) {
+      for (let dx = 0; dx < width; dx += 2) ctx.fillRect(x + dx, y + cellHeight - 2, 1, 1);
+    }
+    if (attrs.overline) ctx.fillRect(x, y, width, 1);
+    if (attrs.strike) ctx.fillRect(x, y + Math.round(cellHeight / 2), width, 1);
+  };
+
+  const drawCursor = (state, cell, y) => {
+    const { cellWidth, cellHeight } = metrics;
+    const { cursor, theme } = state;
+    const x = cursor.col * cellWidth;
+    const width = (cell?.width || 1) * cellWidth;
+    ctx.fillStyle = theme.cursor || theme.fg;
+    if (cursor.shape === "underline") {
+      ctx.fillRect(x, y + cellHeight - 2, width, 2);
+    } else if (cursor.shape === "bar") {
+      ctx.fillRect(x, y, 2, cellHeight);
+    } else {
+      ctx.fillRect(x, y, width, cellHeight);
+      if (cell && cell.char.trim() && !cell.attrs.conceal) {
+        ctx.font = cellFont(cell.attrs, fontSize, fontFamily);
+        ctx.fillStyle = resolveColors(cell, theme, options).bg;
+        ctx.fillText(cell.char, x, y + cellHeight / 2);
+      }
+    }
+  };
+
+  const drawRow = (state, r, showCursor) => {
+    const { cellWidth, cellHeight } = metrics;
+    const line = state.lines[r];
+    const y = r * cellHeight;
+    ctx.fillStyle = state.theme.bg;
+    ctx.fillRect(0, y, state.cols * cellWidth, cellHeight);
+
+    for (let c = 0; c < line.length; c += 1) {
+      const cell = line[c];
+      if (cell.continuation) continue;
+      const { bg } = resolveColors(cell, state.theme, options);
+      if (bg !== state.theme.bg) {
+        ctx.fillStyle = bg;
+        ctx.fillRect(c * cellWidth, y, cell.width * cellWidth, cellHeight);
+      }
+    }
+
+    let font = null;
+    for (let c = 0; c < line.length; c += 1) {
+      const cell = line[c];
+      if (cell.continuation) continue;
+      const { attrs } = cell;
+      const { fg } = resolveColors(cell, state.theme, options);
+      const x = c * cellWidth;
+      ctx.globalAlpha = attrs.dim ? 0.75 : 1;
+      if (cell.char.trim() && !attrs.conceal && !(attrs.blink && blinkHidden)) {
+        const nextFont = cellFont(attrs, fontSize, fontFamily);
+        if (nextFont !== font) {
+          font = nextFont;
+          ctx.font = font;
+        }
+        ctx.fillStyle = fg;
+        ctx.fillText(cell.char, x, y + cellHeight / 2);
+      }
+      const link = safeLink(cell.link);
+      if (link || attrs.underline || attrs.overline || attrs.strike) {
+        drawDecorations(attrs, link, x, y, cell.width * cellWidth, fg);
+      }
+    }
+    ctx.globalAlpha = 1;
+
+    if (showCursor && state.cursor.visible && state.cursor.row === r && !(state.cursor.blink && blinkHidden)) {
+      drawCursor(state, line[state.cursor.col], y);
+    }
+  };
+
+  const draw = (state, drawOptions = {}) => {
+    const showCursor = !!drawOptions.showCursor;
+    const ratio = window.devicePixelRatio || 1;
+    const full =
+      !previous ||
+      previous.rows !== state.rows ||
+      previous.cols !== state.cols ||
+      previous.theme !== state.theme ||
+      metrics.ratio !== ratio;
+    if (!previous || previous.rows !== state.rows || previous.cols !== state.cols || metrics.ratio !== ratio) {
+      resizeCanvas(state);
+    }
+
+    ctx.setTransform(metrics.ratio, 0, 0, metrics.ratio, 0, 0);
+    ctx.textBaseline = "middle";
+    const cursorRow = showCursor && state.cursor.visible ? state.cursor.row : -1;
+    for (let r = 0; r < state.rows; r += 1) {
+      const dirty =
+        full ||
+        r === cursorRow ||
+        r === previous.cursorRow ||
+        rowChanged(previous.lines[r], state.lines[r]);
+      if (dirty) drawRow(state, r, showCursor);
+    }
+
+    previous = {
+      state,
+      showCursor,
+      rows: state.rows,
+      cols: state.cols,
+      theme: state.theme,
+      lines: state.lines,
+      cursorRow,
+    };
+  };
+
+  const blink = () => {
+    blinkHidden = !blinkHidden;
+    if (!previous) return;
+    const { state, showCursor, cursorRow } = previous;
+    const cursorBlinks = cursorRow >= 0 && state.cursor.blink;
+    ctx.setTransform(metrics.ratio, 0, 0, metrics.ratio, 0, 0);
+    ctx.textBaseline = "middle";
+    for (let r = 0; r < state.rows; r += 1) {
+      if ((cursorBlinks && r === cursorRow) || rowBlinks(state.lines[r])) drawRow(state, r, showCursor);
+    }
+  };
+
+  const linkAt = (x, y) => {
+    if (!previous) return null;
+    const line = previous.lines[Math.floor(y / metrics.cellHeight)];
+    let col = Math.floor(x / metrics.cellWidth);
+    if (!line || col < 0 || col >= line.length) return null;
+    while (col > 0 && line[col].continuation) col -= 1;
+    return safeLink(line[col].link);
+  };
+
+  return {
+    draw,
+    blink,
+    linkAt,
+    // Forces the next draw to repaint every row (e.g. after fonts load).
+    invalidate: () => {
+      previous = null;
+    },
+  };
+}
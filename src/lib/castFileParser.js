@@ -0,0 +1,50 @@
+import { createCastStreamParser } from "./castParser.js";
+
+/**
+ * Parses a cast `File` in a Web Worker that streams it line by line.
+ * `onProgress(loaded, total)` receives byte counts while the file is read;
+ * aborting `signal` stops the worker and rejects with an `AbortError`.
+ * With `strict`, the result also carries `diagnostics`, `skipped` and
+ * `omitted` (see `createCastStreamParser`). Falls back to parsing on the main
+ * thread where workers are unavailable.
+ */
+export function parseCastFile(file, { onProgress, signal, strict = false } = {}) {
+  if (signal?.aborted) return Promise.reject(new DOMException("Import cancelled", "AbortError"));
+  if (typeof Worker === "undefined") {
+    return file.text().then((text) => {
+      const parser = createCastStreamParser({ strict });
+      text.split("\n").forEach(parser.pushLine);
+      return parser.finish();
+    });
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./castParseWorker.js", import.meta.url), { type: "module" });
+    const onAbort = () => {
+      worker.terminate();
+      reject(new DOMException("Import cancelled", "AbortError"));
+    };
+    const settle = () => {
+      worker.terminate();
+      signal?.removeEventListener("abort", onAbort);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    worker.onmessage = ({ data: message }) => {
+      if (message.type === "progress") {
+        onProgress?.(message.loaded, message.total);
+      } else if (message.type === "done") {
+        settle();
+        resolve(message.parsed);
+      } else if (message.type === "error") {
+        settle();
+        reject(new Error(message.message));
+      }
+    };
+    worker.onerror = (event) => {
+      settle();
+      reject(new Error(event.message || "Cast parser worker failed"));
+    };
+    worker.postMessage({ file, strict });
+  });
+}
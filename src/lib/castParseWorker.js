@@ -0,0 +1,42 @@
+import { createCastStreamParser } from "./castParser.js";
+
+const PROGRESS_INTERVAL_MS = 100;
+
+// Reads the posted File in chunks, parses it line by line and sends back the
+// finished parsed cast, event streams already split and sorted, so the main
+// thread only receives it. Strict mode adds the validation diagnostics.
+async function parseFile(file, strict) {
+  const parser = createCastStreamParser({ strict });
+  const reader = file.stream().getReader();
+  const decoder = new TextDecoder();
+  let pending = "";
+  let loaded = 0;
+  let lastProgress = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    loaded += value.byteLength;
+    pending += decoder.decode(value, { stream: true });
+    const lines = pending.split("\n");
+    pending = lines.pop();
+    lines.forEach(parser.pushLine);
+
+    const now = performance.now();
+    if (now - lastProgress >= PROGRESS_INTERVAL_MS) {
+      lastProgress = now;
+      self.postMessage({ type: "progress", loaded, total: file.size });
+    }
+  }
+  pending += decoder.decode();
+  if (pending) parser.pushLine(pending);
+  self.postMessage({ type: "progress", loaded: file.size, total: file.size });
+
+  self.postMessage({ type: "done", parsed: parser.finish() });
+}
+
+self.onmessage = (message) => {
+  parseFile(message.data.file, message.data.strict).catch((error) => {
+    self.postMessage({ type: "error", message: error?.message || String(error) });
+  });
+};
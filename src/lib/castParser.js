@@ -1,6 +1,6 @@
 const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
 
-function normalizeHeader(header) {
+export function normalizeHeader(header) {
   if (!header || typeof header !== "object") {
     throw new Error("Invalid cast header");
   }
@@ -18,35 +18,75 @@ function normalizeHeader(header) {
   };
 }
 
-function normalizeEvents(events, version) {
-  const normalized = [];
+// Turns raw v2 (absolute) or v3 (delta) event times into absolute times, one
+// event at a time so streamed files can be normalized as they are read. A v2
+// time earlier than the previous event is held at that event's time, like a
+// negative v3 delta; `onAdjust(message)` hears about either.
+function createEventNormalizer(version, onAdjust = null) {
   let cursor = 0;
-  let prevRaw = -Infinity;
   const useDelta = Number(version) >= 3;
 
-  for (const event of events) {
-    if (!Array.isArray(event) || event.length < 3) continue;
+  return (event) => {
+    if (!Array.isArray(event) || event.length < 3) return null;
     const rawTime = Number(event[0]);
-    if (!Number.isFinite(rawTime)) continue;
+    if (!Number.isFinite(rawTime)) return null;
 
-    let absTime = rawTime;
     if (useDelta) {
+      if (rawTime < 0) onAdjust?.(`negative delta ${rawTime} treated as 0`);
       cursor += Math.max(0, rawTime);
-      absTime = cursor;
-    } else if (rawTime < prevRaw) {
-      cursor += Math.max(0, rawTime);
-      absTime = cursor;
+    } else if (rawTime < cursor) {
+      onAdjust?.(`time ${rawTime} is earlier than the previous event (${cursor})`);
     } else {
       cursor = rawTime;
     }
+    return [cursor, event[1], event[2]];
+  };
+}
 
-    prevRaw = rawTime;
-    normalized.push([absTime, event[1], event[2]]);
+function normalizeEvents(events, version) {
+  const normalize = createEventNormalizer(version);
+  const normalized = [];
+  for (const event of events) {
+    const next = normalize(event);
+    if (next) normalized.push(next);
   }
-
   return normalized;
 }
 
+// asciicast v1 is a single JSON object whose `stdout` frames carry the delay
+// since the previous frame. It becomes a v2 header plus absolute-time output
+// events.
+function convertV1(cast) {
+  const header = {
+    version: 2,
+    width: cast.width,
+    height: cast.height,
+  };
+  if (cast.env && typeof cast.env === "object") header.env = { ...cast.env };
+  if (cast.title) header.title = String(cast.title);
+  if (cast.command) header.command = String(cast.command);
+
+  const events = [];
+  let time = 0;
+  for (const frame of cast.stdout) {
+    if (!Array.isArray(frame) || frame.length < 2) continue;
+    const delay = Number(frame[0]);
+    if (!Number.isFinite(delay)) continue;
+    time += Math.max(0, delay);
+    events.push([Number(time.toFixed(6)), "o", String(frame[1])]);
+  }
+  return { header: normalizeHeader(header), rawEvents: events };
+}
+
+export function parseTerminalSize(text) {
+  const match = String(text ?? "").trim().match(/^(\d+)x(\d+)$/);
+  if (!match) return null;
+  return {
+    cols: clamp(Number(match[1]), 1, 2000),
+    rows: clamp(Number(match[2]), 1, 2000),
+  };
+}
+
 export function parseCast(text) {
   const trimmed = text.trim();
   if (!trimmed) {
@@ -58,8 +98,12 @@ export function parseCast(text) {
 
   try {
     const parsed = JSON.parse(trimmed);
-    header = normalizeHeader(parsed);
-    rawEvents = Array.isArray(parsed.events) ? parsed.events : null;
+    if (Number(parsed?.version) === 1 && Array.isArray(parsed.stdout)) {
+      ({ header, rawEvents } = convertV1(parsed));
+    } else {
+      header = normalizeHeader(parsed);
+      rawEvents = Array.isArray(parsed.events) ? parsed.events : null;
+    }
   } catch {
     const lines = text
       .split(/\r?\n/)
@@ -76,19 +120,265 @@ export function parseCast(text) {
     throw new Error("Expected events in cast payload");
   }
 
-  const events = normalizeEvents(rawEvents, header.version);
-  const outputEvents = events
-    .filter((event) => event[1] === "o")
-    .map(([time, , data]) => ({ time: Number(time), data: String(data) }))
-    .filter((event) => Number.isFinite(event.time))
+  return castFromEvents(header, normalizeEvents(rawEvents, header.version));
+}
+
+const MAX_DIAGNOSTICS = 500;
+const SIZE_LIMIT = 2000;
+const V2_EVENT_CODES = ["o", "i", "m", "r"];
+const V3_EVENT_CODES = [...V2_EVENT_CODES, "x"];
+
+// Collects strict-mode problems. Errors mark an entry that will be skipped,
+// warnings a value that was adjusted; only the first MAX_DIAGNOSTICS are kept
+// but all of them are counted.
+function createDiagnostics() {
+  const list = [];
+  let skipped = 0;
+  let total = 0;
+  return {
+    report(line, severity, message) {
+      total += 1;
+      if (severity === "error") skipped += 1;
+      if (list.length < MAX_DIAGNOSTICS) list.push({ line, severity, message });
+    },
+    result: () => ({ diagnostics: list, skipped, omitted: total - list.length }),
+  };
+}
+
+function checkHeader(header, line, report) {
+  const at = line ? "" : "header: ";
+  const checkSize = (label, value, fallback) => {
+    if (value === undefined) {
+      report(line, "warning", `${at}missing ${label}, using ${fallback}`);
+    } else if (!Number.isInteger(value) || value < 1 || value > SIZE_LIMIT) {
+      report(line, "warning", `${at}${label} ${JSON.stringify(value)} is out of range (1-${SIZE_LIMIT})`);
+    }
+  };
+  if (![2, 3].includes(Number(header.version))) {
+    report(line, "warning", `${at}unsupported version ${JSON.stringify(header.version)}`);
+  }
+  checkSize("width", header.width ?? header.term?.cols, 80);
+  checkSize("height", header.height ?? header.term?.rows, 24);
+  if (header.timestamp !== undefined && !(Number.isFinite(header.timestamp) && header.timestamp >= 0)) {
+    report(line, "warning", `${at}timestamp ${JSON.stringify(header.timestamp)} is not a valid Unix time`);
+  }
+  if (header.idle_time_limit !== undefined && !(Number.isFinite(header.idle_time_limit) && header.idle_time_limit > 0)) {
+    report(line, "warning", `${at}idle_time_limit ${JSON.stringify(header.idle_time_limit)} must be a positive number`);
+  }
+}
+
+// Strict counterpart of `createEventNormalizer`: malformed events and
+// unknown codes are reported and skipped; timing goes through the same
+// normalizer, with its adjustments reported as warnings.
+function createEventChecker(version, report) {
+  const codes = Number(version) >= 3 ? V3_EVENT_CODES : V2_EVENT_CODES;
+  let at = "";
+  let atLine = null;
+  const normalize = createEventNormalizer(version, (message) => report(atLine, "warning", `${at}${message}`));
+
+  return (event, line, label = "") => {
+    at = label ? `${label}: ` : "";
+    atLine = line;
+    if (!Array.isArray(event) || event.length < 3) {
+      report(line, "error", `${at}expected a [time, code, data] array`);
+      return null;
+    }
+    const [rawTime, code, data] = event;
+    if (typeof rawTime !== "number" || !Number.isFinite(rawTime)) {
+      report(line, "error", `${at}time ${JSON.stringify(rawTime)} is not a number`);
+      return null;
+    }
+    if (!codes.includes(code)) {
+      report(line, "error", `${at}unknown event code ${JSON.stringify(code)}`);
+      return null;
+    }
+    if (typeof data !== "string") {
+      report(line, "error", `${at}event data must be a string`);
+      return null;
+    }
+    return normalize(event);
+  };
+}
+
+// Strict parse of a cast stored as one JSON document (v1, or a header object
+// carrying an `events` array). Entries are located by index, not line.
+function checkCastDocument(text, report) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+  if (!parsed || typeof parsed !== "object") throw new Error("Invalid cast header");
+
+  if (Number(parsed.version) === 1 && Array.isArray(parsed.stdout)) {
+    const frames = [];
+    parsed.stdout.forEach((frame, index) => {
+      const at = `stdout[${index}]: `;
+      if (!Array.isArray(frame) || frame.length < 2) report(null, "error", `${at}expected a [delay, data] array`);
+      else if (typeof frame[0] !== "number" || !Number.isFinite(frame[0])) {
+        report(null, "error", `${at}delay ${JSON.stringify(frame[0])} is not a number`);
+      } else if (typeof frame[1] !== "string") report(null, "error", `${at}frame data must be a string`);
+      else {
+        if (frame[0] < 0) report(null, "warning", `${at}negative delay ${frame[0]} treated as 0`);
+        frames.push(frame);
+      }
+    });
+    checkHeader({ ...parsed, version: 2 }, null, report);
+    const { header, rawEvents } = convertV1({ ...parsed, stdout: frames });
+    return { header, events: rawEvents };
+  }
+
+  checkHeader(parsed, null, report);
+  const header = normalizeHeader(parsed);
+  if (!Array.isArray(parsed.events)) throw new Error("Expected events in cast payload");
+  const check = createEventChecker(header.version, report);
+  const events = [];
+  parsed.events.forEach((event, index) => {
+    const next = check(event, null, `events[${index}]`);
+    if (next) events.push(next);
+  });
+  return { header, events };
+}
+
+/**
+ * Incremental version of `parseCast` for files read in chunks. Feed it lines
+ * with `pushLine` and call `finish` for the parsed cast. Line-based casts are
+ * parsed as they arrive and only keep normalized events; a file that turns
+ * out to be a single JSON document (v1 or `{ ..., events }`) is buffered and
+ * parsed at the end. `finishEvents` returns the header and normalized events
+ * without building the parsed shape.
+ *
+ * With `strict`, problems no longer throw or vanish: every bad JSON line,
+ * malformed event, unknown event code, backwards v2 time, negative v3 delta
+ * and out-of-range header field is recorded in `diagnostics` as
+ * `{ line, severity, message }`. Lines with errors are skipped (`skipped`
+ * counts them); warnings keep the entry with the value clamped. Only a
+ * missing or unusable header still throws.
+ */
+export function createCastStreamParser({ strict = false } = {}) {
+  let header = null;
+  let normalize = null;
+  let buffered = null;
+  let eventLines = 0;
+  let lineNumber = 0;
+  const events = [];
+  const diagnostics = createDiagnostics();
+
+  const pushLine = (rawLine) => {
+    lineNumber += 1;
+    if (buffered) {
+      buffered.push(rawLine);
+      return;
+    }
+    const line = rawLine.trim();
+    if (!line) return;
+    if (!header) {
+      let parsed = null;
+      try {
+        parsed = JSON.parse(line);
+      } catch (error) {
+        // A one-line object that does not parse is a broken header; anything
+        // else is the start of a (pretty-printed) JSON document.
+        if (strict && line.startsWith("{") && line.endsWith("}")) {
+          throw new Error(`Line ${lineNumber}: header is not valid JSON (${error.message})`);
+        }
+      }
+      if (!parsed || Array.isArray(parsed.events) || Array.isArray(parsed.stdout)) {
+        buffered = [rawLine];
+        return;
+      }
+      if (strict) {
+        if (typeof parsed !== "object") throw new Error(`Line ${lineNumber}: header must be a JSON object`);
+        checkHeader(parsed, lineNumber, diagnostics.report);
+      }
+      header = normalizeHeader(parsed);
+      normalize = strict ? createEventChecker(header.version, diagnostics.report) : createEventNormalizer(header.version);
+      return;
+    }
+    eventLines += 1;
+    if (!strict) {
+      const event = normalize(JSON.parse(line));
+      if (event) events.push(event);
+      return;
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(line);
+    } catch (error) {
+      diagnostics.report(lineNumber, "error", `invalid JSON (${error.message})`);
+      return;
+    }
+    const event = normalize(parsed, lineNumber);
+    if (event) events.push(event);
+  };
+
+  const finishEvents = () => {
+    if (buffered) {
+      const document = buffered.join("\n");
+      if (strict) return { ...checkCastDocument(document, diagnostics.report), ...diagnostics.result() };
+      const parsed = parseCast(document);
+      return { header: parsed.header, events: parsed.events, ...diagnostics.result() };
+    }
+    if (!header) throw new Error("Cast file is empty");
+    if (!eventLines) throw new Error("Expected events in cast payload");
+    return { header, events, ...diagnostics.result() };
+  };
+
+  return {
+    pushLine,
+    finishEvents,
+    finish: () => {
+      const { header: finalHeader, events: finalEvents, ...report } = finishEvents();
+      return { ...castFromEvents(finalHeader, finalEvents), ...report };
+    },
+  };
+}
+
+/**
+ * Splits absolute-time `[time, code, data]` events into the per-kind streams
+ * the editor works with: `outputEvents` and `inputEvents` (`{ time, data }`),
+ * `markerEvents` (`{ time, label }`) and `resizeEvents` (`{ time, cols, rows }`),
+ * each sorted by time.
+ */
+export function eventStreams(events) {
+  const textStream = (code) =>
+    events
+      .filter((event) => event[1] === code)
+      .map(([time, , data]) => ({ time: Number(time), data: String(data) }))
+      .filter((event) => Number.isFinite(event.time))
+      .sort((a, b) => a.time - b.time);
+
+  const resizeEvents = events
+    .filter((event) => event[1] === "r")
+    .map(([time, , data]) => ({ time: Number(time), size: parseTerminalSize(data) }))
+    .filter((event) => Number.isFinite(event.time) && event.size)
+    .map(({ time, size }) => ({ time, ...size }))
     .sort((a, b) => a.time - b.time);
 
+  return {
+    outputEvents: textStream("o"),
+    inputEvents: textStream("i"),
+    markerEvents: textStream("m").map(({ time, data }) => ({ time, label: data })),
+    resizeEvents,
+  };
+}
+
+/**
+ * Builds the parsed-cast shape (`header`, `events`, the streams from
+ * `eventStreams` and `duration`) from a header and absolute-time
+ * `[time, code, data]` events. Importers for other recording formats end here
+ * too, so every source looks the same to the editor.
+ */
+export function castFromEvents(header, events) {
+  const streams = eventStreams(events);
+  const { outputEvents } = streams;
   const duration = outputEvents.length ? outputEvents[outputEvents.length - 1].time : 0;
 
   return {
     header,
     events,
-    outputEvents,
+    ...streams,
     duration,
   };
 }
@@ -1,4 +1,24 @@
+import { eventStreams, parseTerminalSize } from "./castParser.js";
+import { toCastTheme } from "./themes.js";
+
 const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+// Exports are asciicast v2, which has no exit ("x") events.
+const EXPORT_EVENT_CODES = new Set(["o", "i", "m", "r"]);
+
+// Input, marker and resize events exactly on a cut belong to the clip that
+// starts there, so splitting a clip never duplicates them.
+const clipHoldsSideEvent = (seg, time, sourceDuration) =>
+  time >= seg.start && (time < seg.end || seg.end >= sourceDuration);
+
+// Which recorded events a clip plays, shared by preview and export. Output
+// uses the whole inclusive range. A recorded resize at the in-point that only
+// repeats the clip's starting size is left out, since every clip already
+// opens with that size.
+function clipPlaysEvent(seg, time, code, { sourceDuration, startSize, size }) {
+  if (code === "o") return time >= seg.start && time <= seg.end;
+  if (!clipHoldsSideEvent(seg, time, sourceDuration)) return false;
+  return !(code === "r" && time === seg.start && size?.cols === startSize.cols && size?.rows === startSize.rows);
+}
 
 export const fmtTime = (seconds) => {
   const totalMs = Math.round((Number(seconds) || 0) * 1000);
@@ -57,6 +77,181 @@ export function getEventsForTimelineTime(model, timelineTime) {
   return events;
 }
 
+export function terminalSizeAt(header, resizeEvents, time) {
+  let size = { cols: header?.width || 80, rows: header?.height || 24 };
+  for (const ev of resizeEvents || []) {
+    if (ev.time > time) break;
+    size = { cols: ev.cols, rows: ev.rows };
+  }
+  return size;
+}
+
+export function getSourcePlaybackEvents(source) {
+  const output = source?.outputEvents || [];
+  const resizes = source?.resizeEvents || [];
+  if (!resizes.length) return output;
+  const events = [];
+  let r = 0;
+  for (const ev of output) {
+    while (r < resizes.length && resizes[r].time <= ev.time) {
+      events.push({ time: resizes[r].time, resize: { cols: resizes[r].cols, rows: resizes[r].rows } });
+      r += 1;
+    }
+    events.push(ev);
+  }
+  for (; r < resizes.length; r += 1) {
+    events.push({ time: resizes[r].time, resize: { cols: resizes[r].cols, rows: resizes[r].rows } });
+  }
+  return events;
+}
+
+// Every clip starts with a resize to its source's terminal size at the clip's
+// in-point, so clips cut from different sources or from after a recorded
+// resize preview at the size they were recorded at.
+export function getTimelinePlaybackEvents(model) {
+  const events = [];
+  const sources = Array.isArray(model.sources) ? model.sources : [];
+  const sourceById = new Map(sources.map((source) => [source.id, source]));
+  let accTimeline = 0;
+  for (const seg of model.segments) {
+    const source = seg.sourceId ? sourceById.get(seg.sourceId) : null;
+    const header = source ? source.header : model.header;
+    const segEvents = source ? getSourcePlaybackEvents(source) : model.outputEvents;
+    const sourceDuration = source ? source.duration : model.duration;
+    const timelineLen = segmentLength(seg);
+    const srcLen = sourceLength(seg);
+    const startSize = terminalSizeAt(header, source?.resizeEvents, seg.start);
+    events.push({ time: accTimeline, resize: startSize });
+    for (const ev of segEvents) {
+      const code = ev.resize ? "r" : "o";
+      if (clipPlaysEvent(seg, ev.time, code, { sourceDuration, startSize, size: ev.resize })) {
+        const ratio = srcLen <= 0 ? 0 : (ev.time - seg.start) / srcLen;
+        events.push({ ...ev, time: accTimeline + ratio * timelineLen });
+      }
+    }
+    accTimeline += timelineLen;
+  }
+  return events;
+}
+
+/**
+ * Lists the input, marker and resize events of every clip, mapped onto the
+ * timeline the same way output is, so scaled clips scale them too. Entries are
+ * `{ clipId, sourceId, code, time, sourceTime, data }` sorted by timeline
+ * time; `data` is the typed text, the marker label or `COLSxROWS`.
+ */
+export function getTimelineSideEvents(model) {
+  const sources = Array.isArray(model.sources) ? model.sources : [];
+  const sourceById = new Map(sources.map((source) => [source.id, source]));
+  let legacyStreams = null;
+  const result = [];
+  let accTimeline = 0;
+  for (const seg of model.segments) {
+    const source = seg.sourceId ? sourceById.get(seg.sourceId) : null;
+    const streams = source || (legacyStreams ||= eventStreams(model.events || []));
+    const sourceDuration = source ? source.duration : model.duration;
+    const startSize = terminalSizeAt(source ? source.header : model.header, streams.resizeEvents, seg.start);
+    const timelineLen = segmentLength(seg);
+    const srcLen = sourceLength(seg);
+    const collect = (code, list, dataOf) => {
+      for (const ev of list || []) {
+        if (ev.time > seg.end) break;
+        const size = code === "r" ? ev : null;
+        if (!clipPlaysEvent(seg, ev.time, code, { sourceDuration, startSize, size })) continue;
+        const ratio = srcLen <= 0 ? 0 : (ev.time - seg.start) / srcLen;
+        result.push({
+          clipId: seg.id,
+          sourceId: seg.sourceId,
+          code,
+          time: accTimeline + ratio * timelineLen,
+          sourceTime: ev.time,
+          data: dataOf(ev),
+        });
+      }
+    };
+    collect("i", streams.inputEvents, (ev) => ev.data);
+    collect("m", streams.markerEvents, (ev) => ev.label);
+    collect("r", streams.resizeEvents, (ev) => `${ev.cols}x${ev.rows}`);
+    accTimeline += timelineLen;
+  }
+  return result.sort((a, b) => a.time - b.time);
+}
+
+// Marker edits replace the source object and its event arrays instead of
+// mutating them, so undo snapshots keep the previous lists.
+function replaceSource(model, source, patch) {
+  model.sources = model.sources.map((entry) => (entry === source ? { ...source, ...patch } : entry));
+}
+
+/**
+ * Adds a marker with `label` at the playhead to the source of the clip under
+ * it. Returns false when there is no clip there or the clip has no source.
+ */
+export function addMarkerAtPlayhead(model, label) {
+  let cursor = 0;
+  for (let i = 0; i < model.segments.length; i += 1) {
+    const seg = model.segments[i];
+    const timelineLen = segmentLength(seg);
+    const last = i === model.segments.length - 1;
+    if (model.playheadTime < cursor + timelineLen || (last && model.playheadTime <= cursor + timelineLen)) {
+      const source = (model.sources || []).find((entry) => entry.id === seg.sourceId);
+      if (!source) return false;
+      const ratio = clamp((model.playheadTime - cursor) / timelineLen, 0, 1);
+      const time = Number((seg.start + sourceLength(seg) * ratio).toFixed(6));
+      const events = [...source.events];
+      const index = events.findIndex((event) => Number(event[0]) > time);
+      events.splice(index < 0 ? events.length : index, 0, [time, "m", String(label)]);
+      const markerEvents = [...(source.markerEvents || []), { time, label: String(label) }].sort((a, b) => a.time - b.time);
+      replaceSource(model, source, { events, markerEvents });
+      return true;
+    }
+    cursor += timelineLen;
+  }
+  return false;
+}
+
+// Removes the marker of `sourceId` at source time `time` with `label`.
+export function removeMarker(model, sourceId, time, label) {
+  const source = (model.sources || []).find((entry) => entry.id === sourceId);
+  if (!source) return false;
+  const matches = (eventTime, eventLabel) => Math.abs(Number(eventTime) - time) < 0.000001 && eventLabel === label;
+  const eventIndex = source.events.findIndex((event) => event[1] === "m" && matches(event[0], event[2]));
+  const markerIndex = (source.markerEvents || []).findIndex((marker) => matches(marker.time, marker.label));
+  if (eventIndex < 0 && markerIndex < 0) return false;
+  replaceSource(model, source, {
+    events: source.events.filter((_, index) => index !== eventIndex),
+    markerEvents: (source.markerEvents || []).filter((_, index) => index !== markerIndex),
+  });
+  return true;
+}
+
+// Event arrays are immutable, so a per-array id stands in for their contents.
+const eventArrayIds = new WeakMap();
+let nextEventArrayId = 0;
+const eventArrayId = (events) => {
+  if (!events) return "";
+  if (!eventArrayIds.has(events)) eventArrayIds.set(events, ++nextEventArrayId);
+  return eventArrayIds.get(events);
+};
+
+/**
+ * Key identifying everything the timeline plays: clip ranges plus the
+ * identity of the output and resize events each clip reads, so replacing a
+ * source's recording changes the key even when its id and ranges do not.
+ */
+export function timelineSignature(model) {
+  const sourceById = new Map((model.sources || []).map((source) => [source.id, source]));
+  return model.segments
+    .map((seg) => {
+      const source = seg.sourceId ? sourceById.get(seg.sourceId) : null;
+      const events = source
+        ? `${eventArrayId(source.outputEvents)}.${eventArrayId(source.resizeEvents)}`
+        : eventArrayId(model.outputEvents);
+      return `${seg.sourceId || ""}#${events}:${seg.start}:${seg.end}:${segmentLength(seg)}`;
+    })
+    .join("|");
+}
+
 export function timelineToSourceTime(model, timelineTime) {
   let cursor = 0;
   for (const seg of model.segments) {
@@ -72,7 +267,10 @@ export function timelineToSourceTime(model, timelineTime) {
   return 0;
 }
 
-export function splitAtPlayhead(model) {
+// `labelAt(timelineTime)` supplies default labels: the left half takes the one
+// at the clip start, the right half the one at the split point (for example
+// the terminal title there). Empty results fall back to "A"/"B" suffixes.
+export function splitAtPlayhead(model, { labelAt } = {}) {
   if (!model.segments.length || model.playheadTime <= 0 || model.playheadTime >= model.composedDuration) return false;
   let cursor = 0;
   for (let i = 0; i < model.segments.length; i += 1) {
@@ -84,19 +282,21 @@ export function splitAtPlayhead(model) {
       const ratio = clamp(offset / timelineLen, 0, 1);
       const splitSourceTime = seg.start + srcLen * ratio;
       if (splitSourceTime <= seg.start + 0.01 || splitSourceTime >= seg.end - 0.01) return false;
+      const leftLabel = labelAt?.(cursor) || `${seg.label} A`;
+      const rightLabel = labelAt?.(model.playheadTime) || `${seg.label} B`;
       const left = {
         ...seg,
         id: crypto.randomUUID(),
         end: splitSourceTime,
         timelineDuration: Math.max(0.01, timelineLen * ratio),
-        label: `${seg.label} A`,
+        label: leftLabel,
       };
       const right = {
         ...seg,
         id: crypto.randomUUID(),
         start: splitSourceTime,
         timelineDuration: Math.max(0.01, timelineLen * (1 - ratio)),
-        label: `${seg.label} B`,
+        label: rightLabel,
       };
       model.segments.splice(i, 1, left, right);
       model.selectedClipId = left.id;
@@ -125,29 +325,46 @@ export function moveSegment(model, sourceId, targetId, placeAfter = false) {
 export function buildEditedCast(model) {
   const newEvents = [];
   let timelineCursor = 0;
+  let currentSize = null;
+  let initialSize = null;
   const sources = Array.isArray(model.sources) ? model.sources : [];
   const sourceById = new Map(sources.map((source) => [source.id, source]));
 
   for (const seg of model.segments) {
     const source = seg.sourceId ? sourceById.get(seg.sourceId) : null;
     const segEvents = source ? source.events : model.events;
+    const sourceDuration = source ? source.duration : model.duration;
     const srcLen = sourceLength(seg);
     const timelineLen = segmentLength(seg);
+    const startSize = terminalSizeAt(source ? source.header : model.header, source?.resizeEvents, seg.start);
+    if (!currentSize) {
+      initialSize = startSize;
+    } else if (currentSize.cols !== startSize.cols || currentSize.rows !== startSize.rows) {
+      newEvents.push([Number(timelineCursor.toFixed(6)), "r", `${startSize.cols}x${startSize.rows}`]);
+    }
+    currentSize = startSize;
     for (const ev of segEvents) {
-      if (!Array.isArray(ev) || ev.length < 3) continue;
+      if (!Array.isArray(ev) || ev.length < 3 || !EXPORT_EVENT_CODES.has(ev[1])) continue;
       const t = Number(ev[0]);
       if (!Number.isFinite(t)) continue;
-      if (t >= seg.start && t <= seg.end) {
+      const size = ev[1] === "r" ? parseTerminalSize(ev[2]) : null;
+      if (ev[1] === "r" && !size) continue;
+      if (clipPlaysEvent(seg, t, ev[1], { sourceDuration, startSize, size })) {
         const ratio = srcLen <= 0 ? 0 : (t - seg.start) / srcLen;
         const mapped = timelineCursor + ratio * timelineLen;
+        if (size) currentSize = size;
         newEvents.push([Number(mapped.toFixed(6)), ev[1], ev[2]]);
       }
     }
     timelineCursor += timelineLen;
   }
 
+  const header = { ...(model.header || {}) };
+  if (model.theme) header.term = { ...(header.term || {}), theme: toCastTheme(model.theme) };
+
   return {
-    ...(model.header || {}),
+    ...header,
+    ...(initialSize ? { width: initialSize.cols, height: initialSize.rows } : {}),
     version: 2,
     events: newEvents,
   };
@@ -0,0 +1,68 @@
+import { createTerminalEmulator } from "./terminalRenderer.js";
+
+const DEFAULT_CHECKPOINT_INTERVAL = 5;
+
+function firstIndexAfter(events, time) {
+  let lo = 0;
+  let hi = events.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (events[mid].time <= time) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Wraps one ordered list of output events ({ time, data }) and resize events
+ * ({ time, resize: { cols, rows } }) with a live emulator and emulator
+ * checkpoints taken every `checkpointInterval` seconds of recording time.
+ * Moving forward only applies the new events; seeking backwards (or far
+ * ahead) resumes from the nearest checkpoint instead of replaying from time 0.
+ */
+export function createFrameCache(rows, cols, theme, events, options = {}) {
+  const interval = Math.max(0.1, Number(options.checkpointInterval) || DEFAULT_CHECKPOINT_INTERVAL);
+  const checkpoints = [{ index: 0, time: -Infinity, emulator: createTerminalEmulator(rows, cols, theme) }];
+  let live = null;
+
+  const nearestCheckpoint = (index) => {
+    let lo = 0;
+    let hi = checkpoints.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (checkpoints[mid].index <= index) lo = mid;
+      else hi = mid - 1;
+    }
+    return checkpoints[lo];
+  };
+
+  const advance = (target) => {
+    while (live.index < target) {
+      const event = events[live.index];
+      if (event.resize) live.emulator.resize(event.resize.rows, event.resize.cols);
+      else live.emulator.write(event.data);
+      live.index += 1;
+      const last = checkpoints[checkpoints.length - 1];
+      if (live.index > last.index && event.time - last.time >= interval) {
+        checkpoints.push({ index: live.index, time: event.time, emulator: live.emulator.clone() });
+      }
+    }
+  };
+
+  const frameAt = (time) => {
+    const target = firstIndexAfter(events, time);
+    const checkpoint = nearestCheckpoint(target);
+    if (!live || live.index > target || checkpoint.index > live.index) {
+      live = { index: checkpoint.index, emulator: checkpoint.emulator.clone() };
+    }
+    advance(target);
+    return live.emulator;
+  };
+
+  return {
+    rows,
+    cols,
+    events,
+    frameAt,
+  };
+}
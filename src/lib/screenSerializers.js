@@ -0,0 +1,284 @@
+function escapeHtml(text) {
+  return text.replace(/[&<>\"]/g, (char) => {
+    if (char === "&") return "&amp;";
+    if (char === "<") return "&lt;";
+    if (char === ">") return "&gt;";
+    return "&quot;";
+  });
+}
+
+const UNDERLINE_CSS_STYLES = {
+  double: "double",
+  curly: "wavy",
+  dotted: "dotted",
+  dashed: "dashed",
+};
+
+const SAFE_LINK = /^(https?|mailto|ftp):/i;
+
+const DEFAULT_FONT_FAMILY = "'IBM Plex Mono', Menlo, monospace";
+
+// Embeds an uploaded display font (`{ family, dataUrl }`) in exported files.
+function fontFaceCss(webFont) {
+  return webFont ? `@font-face{font-family:"${webFont.family}";src:url("${webFont.dataUrl}")}` : "";
+}
+
+// Only web and mail links become anchors; anything else (javascript:, file:)
+// stays plain text.
+export function safeLink(link) {
+  return link && SAFE_LINK.test(link) ? link : null;
+}
+
+function cellStyleKey(cell) {
+  const attrs = cell?.attrs || {};
+  const colors = `${cell?.fg || ""}|${cell?.fgIndex ?? ""}|${cell?.bg || ""}|${cell?.bgIndex ?? ""}`;
+  return `${colors}|${Object.values(attrs).join("|")}|${cell?.link || ""}`;
+}
+
+// Indexed colors are looked up in the state's palette, so OSC 4/104 changes
+// recolor text already on screen; `fg`/`bg` are the colors at write time.
+// With `boldIsBright`, bold text in one of the 8 base colors is drawn in its
+// bright counterpart, as many terminals do.
+function cellFg(cell, theme, options) {
+  const index = cell?.fgIndex;
+  if (index == null) return cell?.fg;
+  if (options?.boldIsBright && cell.attrs?.bold && index < 8) {
+    return theme?.palette?.[index + 8] || cell.fg;
+  }
+  return theme?.palette?.[index] || cell.fg;
+}
+
+function cellBg(cell, theme) {
+  const index = cell?.bgIndex;
+  return index == null ? cell?.bg : theme?.palette?.[index] || cell.bg;
+}
+
+function wrapLink(html, link) {
+  const href = safeLink(link);
+  if (!href) return html;
+  return `<a class="term-link" href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${html}</a>`;
+}
+
+function cellStyleToCss(cell, theme, options) {
+  const attrs = cell?.attrs || {};
+  let fg = cellFg(cell, theme, options);
+  let bg = cellBg(cell, theme);
+  if (attrs.inverse) {
+    [fg, bg] = [bg, fg];
+  }
+  const css = [];
+  if (attrs.conceal) css.push("color:transparent");
+  else if (fg) css.push(`color:${fg}`);
+  if (bg) css.push(`background-color:${bg}`);
+  if (attrs.bold) css.push("font-weight:700");
+  if (attrs.italic) css.push("font-style:italic");
+  if (attrs.underline || attrs.strike || attrs.overline) {
+    const parts = [];
+    if (attrs.underline) parts.push("underline");
+    if (attrs.overline) parts.push("overline");
+    if (attrs.strike) parts.push("line-through");
+    css.push(`text-decoration:${parts.join(" ")}`);
+    if (UNDERLINE_CSS_STYLES[attrs.underline]) css.push(`text-decoration-style:${UNDERLINE_CSS_STYLES[attrs.underline]}`);
+    if (attrs.underline && attrs.underlineColor) css.push(`text-decoration-color:${attrs.underlineColor}`);
+  }
+  if (attrs.dim) css.push("opacity:0.75");
+  if (attrs.blink) css.push("animation:term-blink 1s steps(1) infinite");
+  return css.join(";");
+}
+
+export function resolveColors(cell, theme, options) {
+  let fg = cellFg(cell, theme, options) || theme?.fg || "#f5f5f5";
+  let bg = cellBg(cell, theme) || theme?.bg || "#111015";
+  if (cell?.attrs?.inverse) {
+    [fg, bg] = [bg, fg];
+  }
+  return { fg, bg };
+}
+
+// Splits a line into runs of cells sharing one style. Continuation cells of
+// wide characters join the run of the character they belong to.
+function styleRuns(line) {
+  const runs = [];
+  let current = null;
+  for (let c = 0; c < line.length; c += 1) {
+    const cell = line[c];
+    const key = cellStyleKey(cell);
+    if (!current || (key !== current.key && !cell.continuation)) {
+      current = { key, cell, col: c, text: "", width: 0 };
+      runs.push(current);
+    }
+    current.text += cell.char;
+    current.width += cell.width;
+  }
+  return runs;
+}
+
+/**
+ * Serializes a screen state to the HTML used by the preview `<pre>`: one
+ * line per row with a `<span>` per style run. With `{ showCursor: true }` the
+ * cursor cell is wrapped in `term-cursor` classes when the cursor is visible;
+ * `{ boldIsBright: true }` brightens bold base colors.
+ */
+export function screenStateToHtml(state, options = {}) {
+  const { cursor } = state;
+  const drawCursor = !!options.showCursor && cursor.visible;
+
+  const renderCursorCell = (cell) => {
+    const css = cellStyleToCss(cell, state.theme, options);
+    const cursorColor = `--cursor-color:${state.theme.cursor || state.theme.fg}`;
+    const classes = ["term-cursor", `term-cursor-${cursor.shape}`];
+    if (cursor.blink) classes.push("term-cursor-blink");
+    const text = escapeHtml(cell?.char || " ");
+    return `<span class="${classes.join(" ")}" style="${css ? `${css};` : ""}${cursorColor}">${text}</span>`;
+  };
+
+  const renderRow = (line, cursorCol) => {
+    let output = "";
+    let runText = "";
+    let runKey = null;
+    let runCss = "";
+    let runLink = null;
+
+    const flush = () => {
+      const text = escapeHtml(runText);
+      output += wrapLink(runCss ? `<span style="${runCss}">${text}</span>` : text, runLink);
+    };
+
+    for (let c = 0; c < line.length; c += 1) {
+      const cell = line[c];
+      if (c === cursorCol) {
+        flush();
+        output += wrapLink(renderCursorCell(cell), cell?.link);
+        runText = "";
+        runKey = null;
+        runCss = "";
+        runLink = null;
+        continue;
+      }
+      const key = cellStyleKey(cell);
+      if (runKey === null) {
+        runKey = key;
+        runCss = cellStyleToCss(cell, state.theme, options);
+        runLink = cell?.link || null;
+      }
+      if (key !== runKey) {
+        flush();
+        runText = "";
+        runKey = key;
+        runCss = cellStyleToCss(cell, state.theme, options);
+        runLink = cell?.link || null;
+      }
+      runText += cell?.char ?? " ";
+    }
+
+    flush();
+    return output;
+  };
+
+  return state.lines
+    .map((line, rowIndex) => renderRow(line, drawCursor && rowIndex === cursor.row ? cursor.col : -1))
+    .join("\n");
+}
+
+export function screenStateToText(state, options = {}) {
+  const lines = state.lines.map((line) => {
+    const text = line.map((cell) => cell.char).join("");
+    return options.trimRight ? text.replace(/\s+$/, "") : text;
+  });
+  return lines.join("\n");
+}
+
+const px = (value) => Number(value.toFixed(2));
+
+/**
+ * Serializes a screen state to a standalone SVG document. Cell metrics are in
+ * pixels and default to a 14px monospace font; `fontFamily`, `fontSize`,
+ * `lineHeight`, `letterSpacing`, `boldIsBright` and `webFont` follow the
+ * preview display settings.
+ */
+export function screenStateToSvg(state, options = {}) {
+  const fontSize = options.fontSize || 14;
+  const cellWidth = options.cellWidth || fontSize * 0.6 + (Number(options.letterSpacing) || 0);
+  const cellHeight = options.cellHeight || Math.round(fontSize * (options.lineHeight || 1.2));
+  const fontFamily = options.fontFamily || DEFAULT_FONT_FAMILY;
+  const width = Math.ceil(state.cols * cellWidth);
+  const height = Math.ceil(state.rows * cellHeight);
+  const fontCss = fontFaceCss(options.webFont);
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    fontCss ? `<style>${escapeHtml(fontCss)}</style>` : "",
+    `<rect width="100%" height="100%" fill="${escapeHtml(state.theme.bg)}"/>`,
+    `<g font-family="${escapeHtml(fontFamily)}" font-size="${fontSize}" xml:space="preserve">`,
+  ];
+
+  state.lines.forEach((line, rowIndex) => {
+    const y = px(rowIndex * cellHeight);
+    styleRuns(line).forEach((run) => {
+      const { fg, bg } = resolveColors(run.cell, state.theme, options);
+      const x = px(run.col * cellWidth);
+      if (bg !== state.theme.bg) {
+        parts.push(`<rect x="${x}" y="${y}" width="${px(run.width * cellWidth)}" height="${cellHeight}" fill="${escapeHtml(bg)}"/>`);
+      }
+      const attrs = run.cell.attrs || {};
+      if (!run.text.trim() || attrs.conceal) return;
+      const textAttrs = [
+        `x="${x}"`,
+        `y="${px(y + cellHeight * 0.8)}"`,
+        `fill="${escapeHtml(fg)}"`,
+        `textLength="${px(run.width * cellWidth)}"`,
+        'lengthAdjust="spacingAndGlyphs"',
+      ];
+      if (attrs.bold) textAttrs.push('font-weight="700"');
+      if (attrs.italic) textAttrs.push('font-style="italic"');
+      if (attrs.dim) textAttrs.push('opacity="0.75"');
+      const decorations = [];
+      if (attrs.underline) decorations.push("underline");
+      if (attrs.overline) decorations.push("overline");
+      if (attrs.strike) decorations.push("line-through");
+      if (decorations.length) textAttrs.push(`text-decoration="${decorations.join(" ")}"`);
+      const textElement = `<text ${textAttrs.join(" ")}>${escapeHtml(run.text)}</text>`;
+      const href = safeLink(run.cell.link);
+      parts.push(href ? `<a href="${escapeHtml(href)}" target="_blank">${textElement}</a>` : textElement);
+    });
+  });
+
+  parts.push("</g>", "</svg>");
+  return parts.join("");
+}
+
+const HTML_DOCUMENT_CSS = [
+  "body{margin:0}",
+  "pre{margin:0;padding:10px;white-space:pre;display:inline-block}",
+  ".term-link{color:inherit;text-decoration:underline dotted}",
+  ".term-cursor{position:relative}",
+  '.term-cursor::after{content:"";position:absolute;pointer-events:none;background:var(--cursor-color,currentColor)}',
+  ".term-cursor-block::after{inset:0;mix-blend-mode:difference}",
+  ".term-cursor-underline::after{left:0;right:0;bottom:0;height:2px}",
+  ".term-cursor-bar::after{top:0;bottom:0;left:0;width:2px}",
+  ".term-cursor-blink::after{animation:term-cursor-blink 1s steps(1) infinite}",
+  "@keyframes term-cursor-blink{50%{opacity:0}}",
+  "@keyframes term-blink{50%{color:transparent}}",
+].join("");
+
+/**
+ * Wraps `screenStateToHtml` in a standalone HTML document styled with the
+ * display settings (`fontFamily`, `fontSize`, `lineHeight`, `letterSpacing`,
+ * `boldIsBright`, `webFont`); `title` sets the document title.
+ */
+export function screenStateToHtmlDocument(state, options = {}) {
+  const preStyle = [
+    `font-family:${options.fontFamily || DEFAULT_FONT_FAMILY}`,
+    `font-size:${options.fontSize || 14}px`,
+    `line-height:${options.lineHeight || 1.2}`,
+    `letter-spacing:${Number(options.letterSpacing) || 0}px`,
+    `color:${state.theme.fg}`,
+    `background:${state.theme.bg}`,
+  ].join(";");
+  return [
+    "<!doctype html>",
+    '<html><head><meta charset="utf-8">',
+    `<title>${escapeHtml(options.title || "Terminal frame")}</title>`,
+    `<style>${fontFaceCss(options.webFont)}${HTML_DOCUMENT_CSS}</style>`,
+    `</head><body><pre style="${escapeHtml(preStyle)}">${screenStateToHtml(state, options)}</pre></body></html>`,
+  ].join("\n");
+}
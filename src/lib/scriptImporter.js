@@ -0,0 +1,114 @@
+import { castFromEvents, normalizeHeader } from "./castParser.js";
+
+const CLASSIC_TIMING_LINE = /^\d+(?:\.\d+)?\s+\d+$/;
+const ADVANCED_TIMING_LINE = /^[OISH]\s+\d+(?:\.\d+)?(?:\s|$)/;
+const SCRIPT_HEADER = "Script started on ";
+
+/**
+ * Tells whether a text file is a `script` timing log: classic
+ * (`<delay> <bytes>`) or advanced multi-stream (`O|I|S|H <delay> ...`).
+ */
+export function looksLikeScriptTiming(text) {
+  const lines = String(text || "").split(/\r?\n/).map((line) => line.trim()).filter(Boolean).slice(0, 50);
+  if (!lines.length) return false;
+  return lines.every((line) => CLASSIC_TIMING_LINE.test(line)) || lines.every((line) => ADVANCED_TIMING_LINE.test(line));
+}
+
+// The typescript starts with `Script started on <date> [COMMAND="..." TERM="..."
+// COLUMNS="80" LINES="24"]` unless it was recorded with `-q`.
+function readTypescriptHeader(bytes) {
+  const prefix = new TextDecoder().decode(bytes.subarray(0, SCRIPT_HEADER.length));
+  if (prefix !== SCRIPT_HEADER) return { offset: 0, info: {} };
+  let end = bytes.indexOf(0x0a);
+  if (end < 0) end = bytes.length - 1;
+  const line = new TextDecoder().decode(bytes.subarray(0, end));
+  const info = {};
+  for (const [, key, value] of line.matchAll(/(\w+)="([^"]*)"/g)) info[key] = value;
+  return { offset: end + 1, info };
+}
+
+function parseTimingLines(timingText) {
+  return String(timingText || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      if (CLASSIC_TIMING_LINE.test(line)) {
+        const [delay, length] = line.split(/\s+/);
+        return { type: "O", delay: Number(delay), length: Number(length) };
+      }
+      const match = line.match(/^([OISH])\s+(\S+)\s*(.*)$/);
+      if (!match) throw new Error(`Unrecognized timing line: ${line.slice(0, 40)}`);
+      const [, type, delay, rest] = match;
+      return { type, delay: Number(delay) || 0, length: Number(rest) || 0, rest };
+    });
+}
+
+/**
+ * Converts a util-linux `script` recording into the parsed-cast shape.
+ * `typescript` holds the raw bytes of the typescript (`Uint8Array`), `timing`
+ * the text of its `-t` / `--log-timing` file. Input entries are read from the
+ * typescript only when its size shows it was written with `--log-io`;
+ * otherwise they are skipped.
+ */
+export function parseScriptRecording(typescript, timing) {
+  const bytes = typescript instanceof Uint8Array ? typescript : new Uint8Array(typescript);
+  const entries = parseTimingLines(timing);
+  if (!entries.length) throw new Error("Timing file is empty");
+
+  const { offset: start, info } = readTypescriptHeader(bytes);
+  const size = {
+    cols: Number(info.COLUMNS) || 0,
+    rows: Number(info.LINES) || 0,
+  };
+  const headerInfo = { TERM: info.TERM, COMMAND: info.COMMAND };
+  for (const entry of entries) {
+    if (entry.type !== "H") continue;
+    const [key, ...value] = entry.rest.split(/\s+/);
+    if (key === "COLUMNS") size.cols = Number(value[0]) || size.cols;
+    else if (key === "LINES") size.rows = Number(value[0]) || size.rows;
+    else headerInfo[key] = value.join(" ");
+  }
+
+  const outputBytes = entries.filter((entry) => entry.type === "O").reduce((sum, entry) => sum + entry.length, 0);
+  const inputBytes = entries.filter((entry) => entry.type === "I").reduce((sum, entry) => sum + entry.length, 0);
+  const inputInTypescript = inputBytes > 0 && bytes.length - start >= outputBytes + inputBytes;
+
+  const decoders = { O: new TextDecoder(), I: new TextDecoder() };
+  const events = [];
+  let time = 0;
+  let cursor = start;
+  for (const entry of entries) {
+    if (entry.type === "H") continue;
+    time += Math.max(0, entry.delay);
+    const at = Number(time.toFixed(6));
+    if (entry.type === "S") {
+      const rows = entry.rest.match(/ROWS=(\d+)/);
+      const cols = entry.rest.match(/COLS=(\d+)/);
+      if (rows && cols) events.push([at, "r", `${cols[1]}x${rows[1]}`]);
+      continue;
+    }
+    if (entry.type === "I" && !inputInTypescript) continue;
+    const chunk = bytes.subarray(cursor, cursor + entry.length);
+    cursor += entry.length;
+    // Multi-byte characters may be split across entries, so each stream
+    // keeps its own streaming decoder.
+    const data = decoders[entry.type].decode(chunk, { stream: true });
+    if (data) events.push([at, entry.type === "O" ? "o" : "i", data]);
+  }
+
+  const header = {
+    version: 2,
+    width: size.cols || 80,
+    height: size.rows || 24,
+  };
+  const env = {};
+  if (headerInfo.TERM) env.TERM = headerInfo.TERM;
+  if (headerInfo.SHELL) env.SHELL = headerInfo.SHELL;
+  if (Object.keys(env).length) header.env = env;
+  if (headerInfo.COMMAND) header.command = headerInfo.COMMAND;
+  const started = Date.parse(headerInfo.START_TIME || "");
+  if (Number.isFinite(started)) header.timestamp = Math.floor(started / 1000);
+
+  return castFromEvents(normalizeHeader(header), events);
+}
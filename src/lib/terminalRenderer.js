@@ -1,5 +1,9 @@
+import { screenStateToHtml } from "./screenSerializers.js";
+
 const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
 
+const SCROLLBACK_LIMIT = 1000;
+
 const DEFAULT_ANSI_PALETTE = [
   "#000000",
   "#cd0000",
@@ -19,15 +23,6 @@ const DEFAULT_ANSI_PALETTE = [
   "#ffffff",
 ];
 
-function escapeHtml(text) {
-  return text.replace(/[&<>\"]/g, (char) => {
-    if (char === "&") return "&amp;";
-    if (char === "<") return "&lt;";
-    if (char === ">") return "&gt;";
-    return "&quot;";
-  });
-}
-
 function toHexByte(value) {
   return clamp(Math.round(value), 0, 255).toString(16).padStart(2, "0");
 }
@@ -46,8 +41,9 @@ function parsePalette(paletteText) {
   return colors.length >= 16 ? colors.slice(0, 16) : DEFAULT_ANSI_PALETTE.slice();
 }
 
-export function getTerminalTheme(header) {
-  const theme = header?.term?.theme || header?.theme || null;
+// `override` (same `{ fg, bg, palette }` shape) replaces the recording's theme.
+export function getTerminalTheme(header, override = null) {
+  const theme = override || header?.term?.theme || header?.theme || null;
   return {
     fg: theme?.fg || "#f5f5f5",
     bg: theme?.bg || "#111015",
@@ -55,6 +51,25 @@ export function getTerminalTheme(header) {
   };
 }
 
+// Accepts the X11 color specs used by OSC 4/10/11 (`rgb:rr/gg/bb` with 1-4
+// hex digits per channel, `#rgb`, `#rrggbb`, ...) and plain color names.
+function parseXColor(spec) {
+  const text = String(spec || "").trim();
+  const rgb = text.match(/^rgb:([0-9a-f]{1,4})\/([0-9a-f]{1,4})\/([0-9a-f]{1,4})$/i);
+  if (rgb) {
+    const [r, g, b] = rgb.slice(1).map((part) => (parseInt(part, 16) / (16 ** part.length - 1)) * 255);
+    return rgbToHex(r, g, b);
+  }
+  const hex = text.match(/^#([0-9a-f]+)$/i);
+  if (hex && hex[1].length % 3 === 0 && hex[1].length <= 12) {
+    const size = hex[1].length / 3;
+    const [r, g, b] = [0, 1, 2].map((i) => parseInt(hex[1].slice(i * size, i * size + size), 16) / (16 ** size - 1) * 255);
+    return rgbToHex(r, g, b);
+  }
+  if (/^[a-z]+$/i.test(text)) return text.toLowerCase();
+  return null;
+}
+
 function ansi256ToHex(index, palette) {
   const value = clamp(Number(index) || 0, 0, 255);
   if (value < 16) return palette[value];
@@ -70,89 +85,458 @@ function ansi256ToHex(index, palette) {
   return rgbToHex(step[r], step[g], step[b]);
 }
 
-function cellStyleKey(style) {
-  style ||= {};
-  return `${style.fg || ""}|${style.bg || ""}|${style.bold ? 1 : 0}|${style.italic ? 1 : 0}|${style.underline ? 1 : 0}|${style.inverse ? 1 : 0}|${style.strike ? 1 : 0}|${style.dim ? 1 : 0}`;
-}
+const WIDE_RANGES = [
+  [0x1100, 0x115f],
+  [0x231a, 0x231b],
+  [0x2329, 0x232a],
+  [0x2e80, 0x303e],
+  [0x3041, 0x33ff],
+  [0x3400, 0x4dbf],
+  [0x4e00, 0x9fff],
+  [0xa000, 0xa4cf],
+  [0xa960, 0xa97f],
+  [0xac00, 0xd7a3],
+  [0xf900, 0xfaff],
+  [0xfe10, 0xfe19],
+  [0xfe30, 0xfe6f],
+  [0xff00, 0xff60],
+  [0xffe0, 0xffe6],
+  [0x1f1e6, 0x1f1ff],
+  [0x1f300, 0x1f64f],
+  [0x1f680, 0x1f6ff],
+  [0x1f900, 0x1f9ff],
+  [0x1fa70, 0x1faff],
+  [0x20000, 0x2fffd],
+  [0x30000, 0x3fffd],
+];
 
-function cellStyleToCss(style) {
-  style ||= {};
-  let fg = style.fg;
-  let bg = style.bg;
-  if (style.inverse) {
-    [fg, bg] = [bg, fg];
+const EMOJI_PRESENTATION = /\p{Emoji_Presentation}/u;
+const ZERO_WIDTH = /^[\p{M}\u200b-\u200f\u2060\ufeff\u{1f3fb}-\u{1f3ff}\u{e0020}-\u{e007f}]$/u;
+const REGIONAL_INDICATOR = /^\p{Regional_Indicator}$/u;
+const ZWJ = "\u200d";
+
+// Column width of a single code point: 0 for marks that join the previous
+// cell, 2 for East Asian wide/fullwidth characters and emoji, 1 otherwise.
+function charWidth(ch) {
+  if (ZERO_WIDTH.test(ch)) return 0;
+  const codePoint = ch.codePointAt(0);
+  if (codePoint < 0x1100) return 1;
+  for (const [start, end] of WIDE_RANGES) {
+    if (codePoint < start) break;
+    if (codePoint <= end) return 2;
   }
-  const css = [];
-  if (fg) css.push(`color:${fg}`);
-  if (bg) css.push(`background-color:${bg}`);
-  if (style.bold) css.push("font-weight:700");
-  if (style.italic) css.push("font-style:italic");
-  if (style.underline || style.strike) {
-    const parts = [];
-    if (style.underline) parts.push("underline");
-    if (style.strike) parts.push("line-through");
-    css.push(`text-decoration:${parts.join(" ")}`);
+  return EMOJI_PRESENTATION.test(ch) ? 2 : 1;
+}
+
+// Internal cells are immutable, so each one maps to exactly one public cell
+// and unchanged cells keep their identity across getState() calls.
+const publicCells = new WeakMap();
+
+function toPublicCell(cell) {
+  let publicCell = publicCells.get(cell);
+  if (!publicCell) {
+    const { fg, fgIndex, bg, bgIndex, ...attrs } = cell.style;
+    publicCell = {
+      char: cell.ch,
+      width: cell.continuation ? 0 : cell.width || 1,
+      fg,
+      bg,
+      attrs,
+    };
+    if (fgIndex != null) publicCell.fgIndex = fgIndex;
+    if (bgIndex != null) publicCell.bgIndex = bgIndex;
+    if (cell.continuation) publicCell.continuation = true;
+    if (cell.link) publicCell.link = cell.link;
+    publicCells.set(cell, publicCell);
   }
-  if (style.dim) css.push("opacity:0.75");
-  return css.join(";");
+  return publicCell;
 }
 
+const DEC_SPECIAL_GRAPHICS = {
+  "`": "\u25c6",
+  a: "\u2592",
+  b: "\u2409",
+  c: "\u240c",
+  d: "\u240d",
+  e: "\u240a",
+  f: "\u00b0",
+  g: "\u00b1",
+  h: "\u2424",
+  i: "\u240b",
+  j: "\u2518",
+  k: "\u2510",
+  l: "\u250c",
+  m: "\u2514",
+  n: "\u253c",
+  o: "\u23ba",
+  p: "\u23bb",
+  q: "\u2500",
+  r: "\u23bc",
+  s: "\u23bd",
+  t: "\u251c",
+  u: "\u2524",
+  v: "\u2534",
+  w: "\u252c",
+  x: "\u2502",
+  y: "\u2264",
+  z: "\u2265",
+  "{": "\u03c0",
+  "|": "\u2260",
+  "}": "\u00a3",
+  "~": "\u00b7",
+  _: "\u00a0",
+};
+
+const UNDERLINE_STYLES = {
+  0: false,
+  1: "single",
+  2: "double",
+  3: "curly",
+  4: "dotted",
+  5: "dashed",
+};
+
+const CURSOR_STYLES = {
+  0: { shape: "block", blink: true },
+  1: { shape: "block", blink: true },
+  2: { shape: "block", blink: false },
+  3: { shape: "underline", blink: true },
+  4: { shape: "underline", blink: false },
+  5: { shape: "bar", blink: true },
+  6: { shape: "bar", blink: false },
+};
+
 export function renderTerminalToHtml(rows, cols, eventsUntilTime, theme) {
+  return renderTerminalFrame(rows, cols, eventsUntilTime, theme).html;
+}
+
+/**
+ * Replays output events onto a blank screen and returns the rendered HTML plus
+ * the final cursor state ({ row, col, visible, shape, blink }). Pass
+ * `{ showCursor: true }` to mark the cursor cell in the HTML with
+ * `term-cursor` classes.
+ */
+export function renderTerminalFrame(rows, cols, eventsUntilTime, theme, options = {}) {
+  const emulator = createTerminalEmulator(rows, cols, theme);
+  for (const event of eventsUntilTime) emulator.write(event.data);
+  return emulator.render(options);
+}
+
+/**
+ * Replays output events onto a blank screen and returns the structured screen
+ * state: `lines` of cells ({ char, width, fg, bg, fgIndex?, bgIndex?, attrs,
+ * link? }), plus `cursor`, `title`, `modes` and the `theme` (default colors
+ * and the 256-entry palette that indexed colors resolve against). Works
+ * without a DOM; see screenSerializers.js for HTML, text and SVG output.
+ */
+export function getTerminalScreenState(rows, cols, eventsUntilTime, theme) {
+  const emulator = createTerminalEmulator(rows, cols, theme);
+  for (const event of eventsUntilTime) emulator.write(event.data);
+  return emulator.getState();
+}
+
+/**
+ * Creates a stateful terminal emulator that can be fed output incrementally
+ * with `write(data)` and rendered at any point with `render(options)`.
+ * `clone()` returns an independent copy of the current state, which is what
+ * seek checkpoints are made of. `snapshot` restores a state captured by
+ * `clone()` and is not meant to be built by hand.
+ */
+export function createTerminalEmulator(rows, cols, theme, snapshot = null) {
   const makeDefaultStyle = () => ({
     fg: null,
+    // Palette indexes `fg`/`bg` came from, so renderers can apply
+    // bold-as-bright and follow later OSC 4/104 palette changes.
+    fgIndex: null,
     bg: null,
+    bgIndex: null,
     bold: false,
     dim: false,
     italic: false,
     underline: false,
+    underlineColor: null,
+    blink: false,
     inverse: false,
+    conceal: false,
     strike: false,
+    overline: false,
   });
 
   let currentStyle = makeDefaultStyle();
   const makeBlankCell = () => ({ ch: " ", style: { ...currentStyle } });
-  let screen = Array.from({ length: rows }, () =>
-    Array.from({ length: cols }, () => ({ ch: " ", style: makeDefaultStyle() })),
-  );
+  const makeBlankScreen = () =>
+    Array.from({ length: rows }, () =>
+      Array.from({ length: cols }, () => ({ ch: " ", style: makeDefaultStyle() })),
+    );
+  let primaryScreen = makeBlankScreen();
+  let alternateScreen = null;
+  let screen = primaryScreen;
+  // Lines that scrolled off the top of the primary screen, oldest first. They
+  // are never written to again, so clones can share them.
+  let scrollback = [];
 
   let row = 0;
   let col = 0;
+  let savedCursor = null;
+  let cursorVisible = true;
+  let cursorShape = "block";
+  let cursorBlink = false;
+  let title = "";
+  // OSC 4/10/11/12 change the palette and default colors for the rest of the
+  // recording; OSC 104/110/111/112 restore them from the starting theme.
+  let activeTheme = { ...theme, palette: theme.palette.slice() };
+  let paletteOverrides = {};
+  // Target of the OSC 8 hyperlink that newly written cells belong to.
+  let currentLink = null;
+  // G0/G1 designations ("B" = US ASCII, "0" = DEC Special Graphics) and which
+  // one is shifted in with SI/SO.
+  let charsets = ["B", "B"];
+  let activeCharset = 0;
+  let scrollTop = 0;
+  let scrollBottom = rows - 1;
+  let tabStops = new Set();
+  for (let c = 8; c < cols; c += 8) tabStops.add(c);
+
+  const saveCursor = () => {
+    savedCursor = { row, col, style: { ...currentStyle }, charsets: [...charsets], activeCharset };
+  };
+
+  const restoreCursor = () => {
+    if (!savedCursor) {
+      row = 0;
+      col = 0;
+      currentStyle = makeDefaultStyle();
+      return;
+    }
+    row = clamp(savedCursor.row, 0, rows - 1);
+    col = clamp(savedCursor.col, 0, cols - 1);
+    currentStyle = { ...savedCursor.style };
+    charsets = [...savedCursor.charsets];
+    activeCharset = savedCursor.activeCharset;
+  };
+
+  // Full-screen apps (vim, less, htop) draw on the alternate screen so the
+  // shell output on the primary screen reappears untouched when they exit.
+  const enterAlternateScreen = (clear) => {
+    if (screen !== primaryScreen) {
+      if (clear) screen = alternateScreen = makeBlankScreen();
+      return;
+    }
+    if (!alternateScreen || clear) alternateScreen = makeBlankScreen();
+    screen = alternateScreen;
+  };
+
+  const leaveAlternateScreen = (clear) => {
+    if (screen === primaryScreen) return;
+    if (clear) alternateScreen = null;
+    screen = primaryScreen;
+  };
+
+  const setPrivateMode = (mode, enabled) => {
+    if (mode === 25) {
+      cursorVisible = enabled;
+    } else if (mode === 1049) {
+      if (enabled) {
+        saveCursor();
+        enterAlternateScreen(true);
+      } else {
+        leaveAlternateScreen(true);
+        restoreCursor();
+      }
+    } else if (mode === 47) {
+      if (enabled) enterAlternateScreen(false);
+      else leaveAlternateScreen(false);
+    } else if (mode === 1047) {
+      if (enabled) enterAlternateScreen(false);
+      else leaveAlternateScreen(true);
+    } else if (mode === 1048) {
+      if (enabled) saveCursor();
+      else restoreCursor();
+    }
+  };
 
   const ensureBounds = () => {
     row = clamp(row, 0, rows - 1);
     col = clamp(col, 0, cols - 1);
   };
 
+  const makeBlankLine = () => Array.from({ length: cols }, () => makeBlankCell());
+
+  const pushScrollback = (lines) => {
+    scrollback.push(...lines);
+    if (scrollback.length > SCROLLBACK_LIMIT) scrollback.splice(0, scrollback.length - SCROLLBACK_LIMIT);
+  };
+
+  // Scrolling only ever moves lines between the DECSTBM margins; lines outside
+  // the region (tmux status bars, editor rulers) stay where they are.
+  const scrollUp = (count, top = scrollTop) => {
+    const n = clamp(count, 0, scrollBottom - top + 1);
+    for (let i = 0; i < n; i += 1) {
+      screen.splice(top, 1);
+      screen.splice(scrollBottom, 0, makeBlankLine());
+    }
+  };
+
+  const scrollDown = (count, top = scrollTop) => {
+    const n = clamp(count, 0, scrollBottom - top + 1);
+    for (let i = 0; i < n; i += 1) {
+      screen.splice(scrollBottom, 1);
+      screen.splice(top, 0, makeBlankLine());
+    }
+  };
+
+  // Only lines pushed out by output (not DL or SU) are kept in the scrollback.
+  const lineFeed = () => {
+    if (row === scrollBottom) {
+      if (scrollTop === 0 && screen === primaryScreen) pushScrollback([screen[0]]);
+      scrollUp(1);
+    }
+    else if (row < rows - 1) row += 1;
+  };
+
+  const reverseIndex = () => {
+    if (row === scrollTop) scrollDown(1);
+    else if (row > 0) row -= 1;
+  };
+
+  const horizontalTab = () => {
+    let next = col + 1;
+    while (next < cols - 1 && !tabStops.has(next)) next += 1;
+    col = clamp(next, 0, cols - 1);
+  };
+
+  const clearTabStops = (mode) => {
+    if (mode === 0) tabStops.delete(col);
+    else if (mode === 3) tabStops.clear();
+  };
+
+  const setScrollRegion = (top, bottom) => {
+    const t = clamp((top || 1) - 1, 0, rows - 1);
+    const b = clamp((bottom || rows) - 1, 0, rows - 1);
+    if (t >= b) return;
+    scrollTop = t;
+    scrollBottom = b;
+    row = 0;
+    col = 0;
+  };
+
+  const insertLines = (count) => {
+    if (row < scrollTop || row > scrollBottom) return;
+    scrollDown(count, row);
+    col = 0;
+  };
+
+  const deleteLines = (count) => {
+    if (row < scrollTop || row > scrollBottom) return;
+    scrollUp(count, row);
+    col = 0;
+  };
+
+  const insertChars = (count) => {
+    const line = screen[row];
+    const n = clamp(count, 0, cols - col);
+    line.splice(col, 0, ...Array.from({ length: n }, () => makeBlankCell()));
+    line.length = cols;
+  };
+
+  const deleteChars = (count) => {
+    const line = screen[row];
+    const n = clamp(count, 0, cols - col);
+    line.splice(col, n);
+    while (line.length < cols) line.push(makeBlankCell());
+  };
+
+  const eraseChars = (count) => {
+    const end = clamp(col + count, col, cols);
+    for (let c = col; c < end; c += 1) screen[row][c] = makeBlankCell();
+  };
+
+  // Wide characters occupy their own cell plus an empty continuation cell.
+  // Overwriting either half must blank the other so no orphan halves remain.
+  const clearWideAt = (r, c) => {
+    const cell = screen[r][c];
+    if (cell?.continuation && c > 0) {
+      screen[r][c - 1] = makeBlankCell();
+    } else if (cell?.width === 2 && c + 1 < cols) {
+      screen[r][c + 1] = makeBlankCell();
+    }
+  };
+
+  let joinNext = false;
+
+  const previousCellIndex = () => {
+    let c = Math.min(col, cols) - 1;
+    if (c > 0 && screen[row][c]?.continuation) c -= 1;
+    return c;
+  };
+
+  const previousCell = () => {
+    const c = previousCellIndex();
+    return c >= 0 ? screen[row][c] : null;
+  };
+
+  // Cells are never mutated in place, so clones can share them between lines.
+  const appendToPreviousCell = (ch) => {
+    const c = previousCellIndex();
+    const prev = c >= 0 ? screen[row][c] : null;
+    if (!prev || prev.continuation) return false;
+    screen[row][c] = { ...prev, ch: prev.ch + ch };
+    return true;
+  };
+
+  const withLink = (cell) => {
+    if (currentLink) cell.link = currentLink;
+    return cell;
+  };
+
   const writeChar = (ch) => {
     if (ch === "\n") {
-      row += 1;
       col = 0;
-      if (row >= rows) {
-        screen.shift();
-        screen.push(Array.from({ length: cols }, () => makeBlankCell()));
-        row = rows - 1;
-      }
+      lineFeed();
       return;
     }
     if (ch === "\r") {
       col = 0;
       return;
     }
+    if (ch === "\t") {
+      horizontalTab();
+      return;
+    }
     if (ch === "\b") {
       col = Math.max(0, col - 1);
       return;
     }
-    if (col >= cols) {
-      row += 1;
+    if (ch === "\u000e" || ch === "\u000f") {
+      activeCharset = ch === "\u000e" ? 1 : 0;
+      return;
+    }
+    if (ch < " " || ch === "\u007f") return;
+    if (charsets[activeCharset] === "0" && DEC_SPECIAL_GRAPHICS[ch]) {
+      ch = DEC_SPECIAL_GRAPHICS[ch];
+    }
+    const prev = previousCell();
+    const joinsGrapheme = joinNext
+      || ch === ZWJ
+      || (REGIONAL_INDICATOR.test(ch) && prev && REGIONAL_INDICATOR.test(prev.ch));
+    const width = charWidth(ch);
+    joinNext = ch === ZWJ;
+    if ((width === 0 || joinsGrapheme) && appendToPreviousCell(ch)) return;
+    if (width === 0) return;
+
+    if (col + width > cols) {
       col = 0;
-      if (row >= rows) {
-        screen.shift();
-        screen.push(Array.from({ length: cols }, () => makeBlankCell()));
-        row = rows - 1;
-      }
+      lineFeed();
+    }
+    clearWideAt(row, col);
+    if (width === 2) {
+      clearWideAt(row, col + 1);
+      screen[row][col] = withLink({ ch, style: { ...currentStyle }, width: 2 });
+      screen[row][col + 1] = withLink({ ch: "", style: { ...currentStyle }, continuation: true });
+    } else {
+      screen[row][col] = withLink({ ch, style: { ...currentStyle } });
     }
-    screen[row][col] = { ch, style: { ...currentStyle } };
-    col += 1;
+    col += width;
   };
 
   const eraseInLine = (mode) => {
@@ -166,10 +550,14 @@ export function renderTerminalToHtml(rows, cols, eventsUntilTime, theme) {
   };
 
   const eraseInDisplay = (mode) => {
+    if (mode === 3) {
+      scrollback = [];
+      return;
+    }
     if (mode === 2) {
-      screen = Array.from({ length: rows }, () =>
-        Array.from({ length: cols }, () => ({ ch: " ", style: makeDefaultStyle() })),
-      );
+      for (let r = 0; r < rows; r += 1) {
+        for (let c = 0; c < cols; c += 1) screen[r][c] = { ch: " ", style: makeDefaultStyle() };
+      }
       row = 0;
       col = 0;
       return;
@@ -189,10 +577,38 @@ export function renderTerminalToHtml(rows, cols, eventsUntilTime, theme) {
     }
   };
 
-  const applySgr = (params) => {
-    const values = params.length ? params : [0];
+  // 38/48/58 colors come either as colon sub-parameters (`38:2::r:g:b`,
+  // `38:5:n`) or as the legacy `;`-separated form that consumes the
+  // following parameters. Returns the color and how many extra groups were used.
+  const paletteColor = (value) => {
+    const index = clamp(Number(value) || 0, 0, 255);
+    if (index < 16) return activeTheme.palette[index];
+    return paletteOverrides[index] ?? ansi256ToHex(index, activeTheme.palette);
+  };
+
+  const readExtendedColor = (groups, index) => {
+    const sub = groups[index].slice(1);
+    if (sub.length) {
+      if (sub[0] === 5 && sub.length >= 2) return { color: paletteColor(sub[1]), index: sub[1], used: 0 };
+      if (sub[0] === 2 && sub.length >= 4) return { color: rgbToHex(...sub.slice(-3)), used: 0 };
+      return { color: undefined, used: 0 };
+    }
+    const mode = groups[index + 1]?.[0];
+    if (mode === 5 && index + 2 < groups.length) {
+      return { color: paletteColor(groups[index + 2][0]), index: groups[index + 2][0], used: 2 };
+    }
+    if (mode === 2 && index + 4 < groups.length) {
+      const [r, g, b] = groups.slice(index + 2, index + 5).map((group) => group[0]);
+      return { color: rgbToHex(r, g, b), used: 4 };
+    }
+    return { color: undefined, used: 0 };
+  };
+
+  const applySgr = (groups) => {
+    const values = groups.length ? groups : [[0]];
     for (let i = 0; i < values.length; i += 1) {
-      const code = values[i] ?? 0;
+      const code = values[i][0] ?? 0;
+      const sub = values[i].slice(1);
       if (code === 0) {
         currentStyle = makeDefaultStyle();
       } else if (code === 1) {
@@ -202,11 +618,17 @@ export function renderTerminalToHtml(rows, cols, eventsUntilTime, theme) {
       } else if (code === 3) {
         currentStyle.italic = true;
       } else if (code === 4) {
-        currentStyle.underline = true;
+        currentStyle.underline = sub.length ? UNDERLINE_STYLES[sub[0]] ?? "single" : "single";
+      } else if (code === 5 || code === 6) {
+        currentStyle.blink = true;
       } else if (code === 7) {
         currentStyle.inverse = true;
+      } else if (code === 8) {
+        currentStyle.conceal = true;
       } else if (code === 9) {
         currentStyle.strike = true;
+      } else if (code === 21) {
+        currentStyle.underline = "double";
       } else if (code === 22) {
         currentStyle.bold = false;
         currentStyle.dim = false;
@@ -214,36 +636,52 @@ export function renderTerminalToHtml(rows, cols, eventsUntilTime, theme) {
         currentStyle.italic = false;
       } else if (code === 24) {
         currentStyle.underline = false;
+      } else if (code === 25) {
+        currentStyle.blink = false;
       } else if (code === 27) {
         currentStyle.inverse = false;
+      } else if (code === 28) {
+        currentStyle.conceal = false;
       } else if (code === 29) {
         currentStyle.strike = false;
       } else if (code >= 30 && code <= 37) {
-        currentStyle.fg = theme.palette[code - 30];
+        currentStyle.fg = paletteColor(code - 30);
+        currentStyle.fgIndex = code - 30;
       } else if (code === 39) {
         currentStyle.fg = null;
+        currentStyle.fgIndex = null;
       } else if (code >= 40 && code <= 47) {
-        currentStyle.bg = theme.palette[code - 40];
+        currentStyle.bg = paletteColor(code - 40);
+        currentStyle.bgIndex = code - 40;
       } else if (code === 49) {
         currentStyle.bg = null;
+        currentStyle.bgIndex = null;
+      } else if (code === 53) {
+        currentStyle.overline = true;
+      } else if (code === 55) {
+        currentStyle.overline = false;
+      } else if (code === 59) {
+        currentStyle.underlineColor = null;
       } else if (code >= 90 && code <= 97) {
-        currentStyle.fg = theme.palette[code - 90 + 8];
+        currentStyle.fg = paletteColor(code - 90 + 8);
+        currentStyle.fgIndex = code - 90 + 8;
       } else if (code >= 100 && code <= 107) {
-        currentStyle.bg = theme.palette[code - 100 + 8];
-      } else if (code === 38 || code === 48) {
-        const isFg = code === 38;
-        const mode = values[i + 1];
-        if (mode === 5 && i + 2 < values.length) {
-          const color = ansi256ToHex(values[i + 2], theme.palette);
-          if (isFg) currentStyle.fg = color;
-          else currentStyle.bg = color;
-          i += 2;
-        } else if (mode === 2 && i + 4 < values.length) {
-          const color = rgbToHex(values[i + 2], values[i + 3], values[i + 4]);
-          if (isFg) currentStyle.fg = color;
-          else currentStyle.bg = color;
-          i += 4;
+        currentStyle.bg = paletteColor(code - 100 + 8);
+        currentStyle.bgIndex = code - 100 + 8;
+      } else if (code === 38 || code === 48 || code === 58) {
+        const { color, index, used } = readExtendedColor(values, i);
+        if (color !== undefined) {
+          if (code === 38) {
+            currentStyle.fg = color;
+            currentStyle.fgIndex = index ?? null;
+          } else if (code === 48) {
+            currentStyle.bg = color;
+            currentStyle.bgIndex = index ?? null;
+          } else {
+            currentStyle.underlineColor = color;
+          }
         }
+        i += used;
       }
     }
   };
@@ -251,14 +689,28 @@ export function renderTerminalToHtml(rows, cols, eventsUntilTime, theme) {
   const handleEscape = (seq) => {
     if (!seq.startsWith("\u001b[")) return false;
     const body = seq.slice(2);
-    const match = body.match(/^([0-9:;<=>?]*)([@-~])$/);
+    const match = body.match(/^([0-9:;<=>?]*)([ -/]*)([@-~])$/);
     if (!match) return false;
-    const paramText = match[1].replace(/^[<=>?]+/, "");
-    const params = paramText.length ? paramText.split(";").map((p) => Number(p) || 0) : [0];
-    const code = match[2];
+    const prefix = match[1].match(/^[<=>?]*/)[0];
+    const paramText = match[1].slice(prefix.length);
+    const paramGroups = paramText.length
+      ? paramText.split(";").map((p) => p.split(":").map((n) => Number(n) || 0))
+      : [[0]];
+    const params = paramGroups.map((group) => group[0]);
+    const intermediate = match[2];
+    const code = match[3];
+
+    if (intermediate) {
+      if (intermediate === " " && code === "q" && CURSOR_STYLES[params[0]]) {
+        cursorShape = CURSOR_STYLES[params[0]].shape;
+        cursorBlink = CURSOR_STYLES[params[0]].blink;
+      }
+      return true;
+    }
 
     switch (code) {
-      case "H": {
+      case "H":
+      case "f": {
         const r = (params[0] || 1) - 1;
         const c = (params[1] || 1) - 1;
         row = clamp(r, 0, rows - 1);
@@ -266,11 +718,11 @@ export function renderTerminalToHtml(rows, cols, eventsUntilTime, theme) {
         break;
       }
       case "A":
-        row -= params[0] || 1;
+        row = Math.max(row >= scrollTop ? scrollTop : 0, row - (params[0] || 1));
         ensureBounds();
         break;
       case "B":
-        row += params[0] || 1;
+        row = Math.min(row <= scrollBottom ? scrollBottom : rows - 1, row + (params[0] || 1));
         ensureBounds();
         break;
       case "C":
@@ -281,6 +733,22 @@ export function renderTerminalToHtml(rows, cols, eventsUntilTime, theme) {
         col -= params[0] || 1;
         ensureBounds();
         break;
+      case "G":
+      case "`":
+        col = clamp((params[0] || 1) - 1, 0, cols - 1);
+        break;
+      case "d":
+        row = clamp((params[0] || 1) - 1, 0, rows - 1);
+        break;
+      case "g":
+        clearTabStops(params[0] || 0);
+        break;
+      case "s":
+        if (!prefix) saveCursor();
+        break;
+      case "u":
+        if (!prefix) restoreCursor();
+        break;
       case "J":
         eraseInDisplay(params[0] || 0);
         break;
@@ -288,7 +756,35 @@ export function renderTerminalToHtml(rows, cols, eventsUntilTime, theme) {
         eraseInLine(params[0] || 0);
         break;
       case "m":
-        applySgr(params);
+        if (!prefix) applySgr(paramGroups);
+        break;
+      case "r":
+        if (!prefix) setScrollRegion(params[0], params[1]);
+        break;
+      case "L":
+        insertLines(params[0] || 1);
+        break;
+      case "M":
+        deleteLines(params[0] || 1);
+        break;
+      case "@":
+        if (!prefix) insertChars(params[0] || 1);
+        break;
+      case "P":
+        deleteChars(params[0] || 1);
+        break;
+      case "X":
+        eraseChars(params[0] || 1);
+        break;
+      case "S":
+        if (!prefix) scrollUp(params[0] || 1);
+        break;
+      case "T":
+        if (!prefix) scrollDown(params[0] || 1);
+        break;
+      case "h":
+      case "l":
+        if (prefix === "?") params.forEach((mode) => setPrivateMode(mode, code === "h"));
         break;
       default:
         break;
@@ -296,6 +792,83 @@ export function renderTerminalToHtml(rows, cols, eventsUntilTime, theme) {
     return true;
   };
 
+  const setPaletteColor = (index, color) => {
+    if (index < 16) {
+      activeTheme = { ...activeTheme, palette: activeTheme.palette.slice() };
+      activeTheme.palette[index] = color ?? theme.palette[index];
+    } else if (color) {
+      paletteOverrides = { ...paletteOverrides, [index]: color };
+    } else {
+      paletteOverrides = { ...paletteOverrides };
+      delete paletteOverrides[index];
+    }
+  };
+
+  const handleOsc = (payload) => {
+    const separator = payload.indexOf(";");
+    const command = separator === -1 ? payload : payload.slice(0, separator);
+    const argument = separator === -1 ? "" : payload.slice(separator + 1);
+    if (command === "0" || command === "2") {
+      title = argument;
+    } else if (command === "8") {
+      const uriStart = argument.indexOf(";");
+      const uri = uriStart === -1 ? "" : argument.slice(uriStart + 1);
+      currentLink = uri || null;
+    } else if (command === "4") {
+      const parts = argument.split(";");
+      for (let i = 0; i + 1 < parts.length; i += 2) {
+        const index = Number(parts[i]);
+        const color = parseXColor(parts[i + 1]);
+        if (Number.isInteger(index) && index >= 0 && index <= 255 && color) setPaletteColor(index, color);
+      }
+    } else if (command === "10" || command === "11" || command === "12") {
+      // A single OSC 10 may carry 10;11;12 colors in sequence.
+      const keys = ["fg", "bg", "cursor"];
+      argument.split(";").forEach((spec, offset) => {
+        const key = keys[Number(command) - 10 + offset];
+        const color = parseXColor(spec);
+        if (key && color) activeTheme = { ...activeTheme, [key]: color };
+      });
+    } else if (command === "104") {
+      if (!argument) {
+        activeTheme = { ...activeTheme, palette: theme.palette.slice() };
+        paletteOverrides = {};
+      } else {
+        argument.split(";").map(Number).filter((index) => Number.isInteger(index) && index >= 0 && index <= 255)
+          .forEach((index) => setPaletteColor(index, null));
+      }
+    } else if (command === "110" || command === "111" || command === "112") {
+      const key = { 110: "fg", 111: "bg", 112: "cursor" }[command];
+      activeTheme = { ...activeTheme, [key]: theme[key] };
+    }
+  };
+
+  const handleShortEscape = (code) => {
+    switch (code) {
+      case "7":
+        saveCursor();
+        break;
+      case "8":
+        restoreCursor();
+        break;
+      case "D":
+        lineFeed();
+        break;
+      case "E":
+        col = 0;
+        lineFeed();
+        break;
+      case "M":
+        reverseIndex();
+        break;
+      case "H":
+        tabStops.add(col);
+        break;
+      default:
+        break;
+    }
+  };
+
   const processText = (text) => {
     let i = 0;
     while (i < text.length) {
@@ -317,10 +890,12 @@ export function renderTerminalToHtml(rows, cols, eventsUntilTime, theme) {
           let j = i + 2;
           while (j < text.length) {
             if (text[j] === "\u0007") {
+              handleOsc(text.slice(i + 2, j));
               i = j + 1;
               break;
             }
             if (text[j] === "\u001b" && text[j + 1] === "\\") {
+              handleOsc(text.slice(i + 2, j));
               i = j + 2;
               break;
             }
@@ -341,45 +916,203 @@ export function renderTerminalToHtml(rows, cols, eventsUntilTime, theme) {
           if (j >= text.length) i = text.length;
           continue;
         }
+        if (next === "(" || next === ")" || next === "*" || next === "+") {
+          if (next === "(" || next === ")") charsets[next === "(" ? 0 : 1] = text[i + 2] || "B";
+          i += 3;
+          continue;
+        }
+        handleShortEscape(next);
         i += 2;
         continue;
       }
-      writeChar(ch);
-      i += 1;
+      const char = String.fromCodePoint(text.codePointAt(i));
+      writeChar(char);
+      i += char.length;
     }
   };
 
-  for (const event of eventsUntilTime) {
-    processText(event.data);
-  }
+  const getCursor = () => {
+    const cursor = {
+      row,
+      col: Math.min(col, cols - 1),
+      visible: cursorVisible,
+      shape: cursorShape,
+      blink: cursorBlink,
+    };
+    if (cursor.col > 0 && screen[cursor.row][cursor.col]?.continuation) cursor.col -= 1;
+    return cursor;
+  };
+
+  // Lines are padded or cut on the right; when the screen gets shorter the
+  // top lines go first so the cursor line stays visible, like xterm does.
+  const resize = (nextRows, nextCols) => {
+    const newRows = clamp(Math.floor(Number(nextRows) || rows), 1, 2000);
+    const newCols = clamp(Math.floor(Number(nextCols) || cols), 1, 2000);
+    if (newRows === rows && newCols === cols) return;
 
-  const renderRow = (line) => {
-    let output = "";
-    let runText = "";
-    let runKey = null;
-    let runCss = "";
-
-    for (const cell of line) {
-      const style = cell?.style || {};
-      const key = cellStyleKey(style);
-      if (runKey === null) {
-        runKey = key;
-        runCss = cellStyleToCss(style);
+    const resizeBuffer = (buffer, trackCursor) => {
+      buffer.forEach((line) => {
+        if (line.length > newCols) {
+          line.length = newCols;
+          if (line[newCols - 1]?.width === 2) line[newCols - 1] = { ch: " ", style: makeDefaultStyle() };
+        }
+        while (line.length < newCols) line.push({ ch: " ", style: makeDefaultStyle() });
+      });
+      if (newRows < buffer.length) {
+        const dropTop = trackCursor ? clamp(row - (newRows - 1), 0, buffer.length - newRows) : 0;
+        const dropped = buffer.splice(0, dropTop);
+        if (buffer === primaryScreen) pushScrollback(dropped);
+        if (trackCursor) row -= dropTop;
+        buffer.length = newRows;
       }
-      if (key !== runKey) {
-        const text = escapeHtml(runText);
-        output += runCss ? `<span style="${runCss}">${text}</span>` : text;
-        runText = "";
-        runKey = key;
-        runCss = cellStyleToCss(style);
+      while (buffer.length < newRows) {
+        buffer.push(Array.from({ length: newCols }, () => ({ ch: " ", style: makeDefaultStyle() })));
       }
-      runText += cell?.ch ?? " ";
+    };
+
+    resizeBuffer(primaryScreen, screen === primaryScreen);
+    if (alternateScreen) resizeBuffer(alternateScreen, screen === alternateScreen);
+    for (let c = Math.ceil(cols / 8) * 8; c < newCols; c += 8) tabStops.add(c);
+    rows = newRows;
+    cols = newCols;
+    scrollTop = 0;
+    scrollBottom = rows - 1;
+    row = clamp(row, 0, rows - 1);
+    col = clamp(col, 0, cols);
+  };
+
+  // Scrollback lines keep the width they had when they left the screen.
+  const fitLine = (line) => {
+    if (line.length === cols) return line;
+    const fitted = line.slice(0, cols);
+    while (fitted.length < cols) fitted.push({ ch: " ", style: makeDefaultStyle() });
+    return fitted;
+  };
+
+  // `{ scrollback: n }` views the screen scrolled back by n lines (primary
+  // screen only); the cursor moves down with the content and is hidden once it
+  // leaves the view.
+  // The state's theme lists all 256 palette entries so serializers can resolve
+  // indexed cell colors against the current palette. It is rebuilt only when
+  // the palette or default colors change, so renderers can compare it by
+  // identity.
+  let publicTheme = null;
+  let publicThemeFrom = null;
+  const getPublicTheme = () => {
+    if (publicThemeFrom?.theme !== activeTheme || publicThemeFrom?.overrides !== paletteOverrides) {
+      const palette = Array.from({ length: 256 }, (_, index) => paletteColor(index));
+      publicTheme = { ...activeTheme, palette };
+      publicThemeFrom = { theme: activeTheme, overrides: paletteOverrides };
     }
+    return publicTheme;
+  };
 
-    const tail = escapeHtml(runText);
-    output += runCss ? `<span style="${runCss}">${tail}</span>` : tail;
-    return output;
+  const getState = (options = {}) => {
+    const available = screen === primaryScreen ? scrollback.length : 0;
+    const offset = clamp(Math.floor(Number(options.scrollback) || 0), 0, available);
+    const cursor = getCursor();
+    let lines = screen;
+    if (offset > 0) {
+      const start = scrollback.length - offset;
+      lines = scrollback
+        .slice(start, start + rows)
+        .map(fitLine)
+        .concat(screen.slice(0, Math.max(0, rows - offset)));
+      cursor.row += offset;
+      if (cursor.row >= rows) cursor.visible = false;
+    }
+    return {
+      rows,
+      cols,
+      lines: lines.map((line) => line.map(toPublicCell)),
+      cursor,
+      title,
+      modes: {
+        alternateScreen: screen !== primaryScreen,
+        scrollRegion: { top: scrollTop, bottom: scrollBottom },
+      },
+      scrollback: { length: available, offset },
+      theme: getPublicTheme(),
+    };
   };
 
-  return screen.map((line) => renderRow(line)).join("\n");
+  const render = (options = {}) => {
+    const state = getState(options);
+    return {
+      html: screenStateToHtml(state, options),
+      cursor: state.cursor,
+      theme: state.theme,
+      title: state.title,
+      scrollback: state.scrollback,
+    };
+  };
+
+  const captureState = () => ({
+    primaryScreen: primaryScreen.map((line) => line.slice()),
+    alternateScreen: alternateScreen ? alternateScreen.map((line) => line.slice()) : null,
+    scrollback: scrollback.slice(),
+    onAlternate: screen !== primaryScreen,
+    currentStyle: { ...currentStyle },
+    row,
+    col,
+    savedCursor: savedCursor
+      ? { ...savedCursor, style: { ...savedCursor.style }, charsets: [...savedCursor.charsets] }
+      : null,
+    cursorVisible,
+    cursorShape,
+    cursorBlink,
+    scrollTop,
+    scrollBottom,
+    tabStops: new Set(tabStops),
+    joinNext,
+    title,
+    charsets: [...charsets],
+    activeCharset,
+    activeTheme,
+    paletteOverrides,
+    currentLink,
+  });
+
+  if (snapshot) {
+    ({
+      primaryScreen,
+      alternateScreen,
+      scrollback,
+      currentStyle,
+      row,
+      col,
+      savedCursor,
+      cursorVisible,
+      cursorShape,
+      cursorBlink,
+      scrollTop,
+      scrollBottom,
+      tabStops,
+      joinNext,
+      title,
+      charsets,
+      activeCharset,
+      activeTheme,
+      paletteOverrides,
+      currentLink,
+    } = snapshot);
+    screen = snapshot.onAlternate && alternateScreen ? alternateScreen : primaryScreen;
+  }
+
+  return {
+    get rows() {
+      return rows;
+    },
+    get cols() {
+      return cols;
+    },
+    get title() {
+      return title;
+    },
+    write: (data) => processText(String(data ?? "")),
+    resize,
+    render,
+    getState,
+    clone: () => createTerminalEmulator(rows, cols, theme, captureState()),
+  };
 }
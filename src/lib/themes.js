@@ -0,0 +1,252 @@
+// Palettes are listed in ANSI order: black, red, green, yellow, blue, magenta,
+// cyan, white, then the bright variants.
+export const BUILTIN_THEMES = [
+  {
+    id: "solarized-dark",
+    name: "Solarized Dark",
+    fg: "#839496",
+    bg: "#002b36",
+    palette: [
+      "#073642", "#dc322f", "#859900", "#b58900", "#268bd2", "#d33682", "#2aa198", "#eee8d5",
+      "#002b36", "#cb4b16", "#586e75", "#657b83", "#839496", "#6c71c4", "#93a1a1", "#fdf6e3",
+    ],
+  },
+  {
+    id: "solarized-light",
+    name: "Solarized Light",
+    fg: "#657b83",
+    bg: "#fdf6e3",
+    palette: [
+      "#073642", "#dc322f", "#859900", "#b58900", "#268bd2", "#d33682", "#2aa198", "#eee8d5",
+      "#002b36", "#cb4b16", "#586e75", "#657b83", "#839496", "#6c71c4", "#93a1a1", "#fdf6e3",
+    ],
+  },
+  {
+    id: "dracula",
+    name: "Dracula",
+    fg: "#f8f8f2",
+    bg: "#282a36",
+    palette: [
+      "#21222c", "#ff5555", "#50fa7b", "#f1fa8c", "#bd93f9", "#ff79c6", "#8be9fd", "#f8f8f2",
+      "#6272a4", "#ff6e6e", "#69ff94", "#ffffa5", "#d6acff", "#ff92df", "#a4ffff", "#ffffff",
+    ],
+  },
+  {
+    id: "gruvbox-dark",
+    name: "Gruvbox Dark",
+    fg: "#ebdbb2",
+    bg: "#282828",
+    palette: [
+      "#282828", "#cc241d", "#98971a", "#d79921", "#458588", "#b16286", "#689d6a", "#a89984",
+      "#928374", "#fb4934", "#b8bb26", "#fabd2f", "#83a598", "#d3869b", "#8ec07c", "#ebdbb2",
+    ],
+  },
+  {
+    id: "gruvbox-light",
+    name: "Gruvbox Light",
+    fg: "#3c3836",
+    bg: "#fbf1c7",
+    palette: [
+      "#fbf1c7", "#cc241d", "#98971a", "#d79921", "#458588", "#b16286", "#689d6a", "#7c6f64",
+      "#928374", "#9d0006", "#79740e", "#b57614", "#076678", "#8f3f71", "#427b58", "#3c3836",
+    ],
+  },
+  {
+    id: "tango-dark",
+    name: "Tango Dark",
+    fg: "#d3d7cf",
+    bg: "#2e3436",
+    palette: [
+      "#2e3436", "#cc0000", "#4e9a06", "#c4a000", "#3465a4", "#75507b", "#06989a", "#d3d7cf",
+      "#555753", "#ef2929", "#8ae234", "#fce94f", "#729fcf", "#ad7fa8", "#34e2e2", "#eeeeec",
+    ],
+  },
+  {
+    id: "tango-light",
+    name: "Tango Light",
+    fg: "#2e3436",
+    bg: "#eeeeec",
+    palette: [
+      "#2e3436", "#cc0000", "#4e9a06", "#c4a000", "#3465a4", "#75507b", "#06989a", "#d3d7cf",
+      "#555753", "#ef2929", "#8ae234", "#fce94f", "#729fcf", "#ad7fa8", "#34e2e2", "#eeeeec",
+    ],
+  },
+  {
+    id: "nord",
+    name: "Nord",
+    fg: "#d8dee9",
+    bg: "#2e3440",
+    palette: [
+      "#3b4252", "#bf616a", "#a3be8c", "#ebcb8b", "#81a1c1", "#b48ead", "#88c0d0", "#e5e9f0",
+      "#4c566a", "#bf616a", "#a3be8c", "#ebcb8b", "#81a1c1", "#b48ead", "#8fbcbb", "#eceff4",
+    ],
+  },
+  {
+    id: "one-dark",
+    name: "One Dark",
+    fg: "#abb2bf",
+    bg: "#282c34",
+    palette: [
+      "#282c34", "#e06c75", "#98c379", "#e5c07b", "#61afef", "#c678dd", "#56b6c2", "#abb2bf",
+      "#5c6370", "#e06c75", "#98c379", "#e5c07b", "#61afef", "#c678dd", "#56b6c2", "#ffffff",
+    ],
+  },
+  {
+    id: "monokai",
+    name: "Monokai",
+    fg: "#f8f8f2",
+    bg: "#272822",
+    palette: [
+      "#272822", "#f92672", "#a6e22e", "#f4bf75", "#66d9ef", "#ae81ff", "#a1efe4", "#f8f8f2",
+      "#75715e", "#f92672", "#a6e22e", "#f4bf75", "#66d9ef", "#ae81ff", "#a1efe4", "#f9f8f5",
+    ],
+  },
+];
+
+const ANSI_NAMES = ["black", "red", "green", "yellow", "blue", "magenta", "cyan", "white"];
+
+function toHex(value) {
+  return Math.round(Math.max(0, Math.min(1, value)) * 255).toString(16).padStart(2, "0");
+}
+
+// Accepts `#rgb`, `#rrggbb`, `0xrrggbb` and bare `rrggbb`, optionally quoted.
+function normalizeColor(value) {
+  const text = String(value ?? "").trim().replace(/^["']|["']$/g, "");
+  const match = text.match(/^(?:#|0x)?([0-9a-f]{6}|[0-9a-f]{3})$/i);
+  if (!match) return null;
+  const hex = match[1].toLowerCase();
+  return hex.length === 3 ? `#${hex.replace(/./g, "$&$&")}` : `#${hex}`;
+}
+
+// Missing bright colors fall back to their normal counterparts.
+function completeTheme(name, fg, bg, palette) {
+  const colors = palette.slice(0, 16);
+  for (let i = 8; i < 16; i += 1) colors[i] = colors[i] || colors[i - 8];
+  if (!fg || !bg || colors.slice(0, 8).some((color) => !color)) {
+    throw new Error("Theme needs a foreground, a background and the 8 normal colors");
+  }
+  return { id: `imported:${name}`, name, fg, bg, palette: colors };
+}
+
+function parseItermColors(text, name) {
+  const colors = {};
+  const entries = text.matchAll(/<key>([^<]+)<\/key>\s*<dict>([\s\S]*?)<\/dict>/g);
+  for (const [, key, body] of entries) {
+    const component = (channel) => {
+      const match = body.match(new RegExp(`<key>${channel} Component</key>\\s*<(?:real|integer)>([^<]+)<`));
+      return match ? Number(match[1]) : 0;
+    };
+    colors[key.trim()] = `#${toHex(component("Red"))}${toHex(component("Green"))}${toHex(component("Blue"))}`;
+  }
+  const palette = Array.from({ length: 16 }, (_, i) => colors[`Ansi ${i} Color`]);
+  return completeTheme(name, colors["Foreground Color"], colors["Background Color"], palette);
+}
+
+function parseWindowsTerminal(text, name) {
+  const parsed = JSON.parse(text);
+  // A whole settings.json carries its color schemes in `schemes`.
+  const scheme = Array.isArray(parsed.schemes) ? parsed.schemes[0] : parsed;
+  if (!scheme || typeof scheme !== "object") throw new Error("No color scheme found");
+  const key = (color, bright) => {
+    const base = color === "magenta" ? "purple" : color;
+    return bright ? `bright${base[0].toUpperCase()}${base.slice(1)}` : base;
+  };
+  const palette = [false, true].flatMap((bright) =>
+    ANSI_NAMES.map((color) => normalizeColor(scheme[key(color, bright)])),
+  );
+  return completeTheme(
+    scheme.name || name,
+    normalizeColor(scheme.foreground),
+    normalizeColor(scheme.background),
+    palette,
+  );
+}
+
+// Flattens `key: value` (YAML) or `[section]` + `key = value` (TOML) into
+// dotted paths, which is all an Alacritty color file needs.
+function flattenConfig(text, toml) {
+  const values = {};
+  const stack = [];
+  let section = "";
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/\s+#.*$/, "").replace(/^\s*#.*$/, "");
+    if (!line.trim()) continue;
+    if (toml) {
+      const header = line.match(/^\s*\[([^\]]+)\]\s*$/);
+      if (header) {
+        section = header[1].trim();
+        continue;
+      }
+      const pair = line.match(/^\s*([\w.-]+)\s*=\s*(.+)$/);
+      if (pair) values[section ? `${section}.${pair[1]}` : pair[1]] = pair[2].trim();
+      continue;
+    }
+    const pair = line.match(/^(\s*)([\w-]+)\s*:\s*(.*)$/);
+    if (!pair) continue;
+    const indent = pair[1].length;
+    while (stack.length && stack[stack.length - 1].indent >= indent) stack.pop();
+    const path = [...stack.map((entry) => entry.key), pair[2]].join(".");
+    if (pair[3].trim()) values[path] = pair[3].trim();
+    else stack.push({ indent, key: pair[2] });
+  }
+  return values;
+}
+
+function parseAlacritty(text, name, toml) {
+  const values = flattenConfig(text, toml);
+  const palette = ["normal", "bright"].flatMap((group) =>
+    ANSI_NAMES.map((color) => normalizeColor(values[`colors.${group}.${color}`])),
+  );
+  return completeTheme(
+    name,
+    normalizeColor(values["colors.primary.foreground"]),
+    normalizeColor(values["colors.primary.background"]),
+    palette,
+  );
+}
+
+function parseXresources(text, name) {
+  const defines = {};
+  const values = {};
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("!")) continue;
+    const define = line.match(/^#define\s+(\S+)\s+(\S+)/);
+    if (define) {
+      defines[define[1]] = define[2];
+      continue;
+    }
+    // `*.color0`, `*color0`, `URxvt.color0`, `XTerm*foreground`, ...
+    const pair = line.match(/^[\w.*-]*?[.*]?(foreground|background|color\d{1,2})\s*:\s*(\S+)/);
+    if (pair) values[pair[1]] = normalizeColor(defines[pair[2]] || pair[2]);
+  }
+  const palette = Array.from({ length: 16 }, (_, i) => values[`color${i}`]);
+  return completeTheme(name, values.foreground, values.background, palette);
+}
+
+/**
+ * Reads a theme from an iTerm2 `.itermcolors`, Windows Terminal JSON,
+ * Alacritty YAML/TOML or `.Xresources` file, picked by file name and content.
+ * Throws when the format is not recognized or colors are missing.
+ */
+export function importThemeFile(fileName, text) {
+  const lower = String(fileName || "").toLowerCase();
+  const baseName = String(fileName || "").split(/[\\/]/).pop();
+  const name = baseName.replace(/\.[^.]+$/, "") || baseName || "Imported";
+  const trimmed = String(text || "").trim();
+  if (lower.endsWith(".itermcolors") || trimmed.startsWith("<?xml") || trimmed.startsWith("<plist")) {
+    return parseItermColors(trimmed, name);
+  }
+  if (lower.endsWith(".json") || trimmed.startsWith("{")) return parseWindowsTerminal(trimmed, name);
+  if (lower.endsWith(".toml")) return parseAlacritty(trimmed, name, true);
+  if (lower.endsWith(".yml") || lower.endsWith(".yaml")) return parseAlacritty(trimmed, name, false);
+  if (lower.includes("xresources") || lower.includes("xdefaults") || /^\s*[\w.*-]*color\d+\s*:/m.test(trimmed)) {
+    return parseXresources(trimmed, name);
+  }
+  throw new Error("Unrecognized theme file");
+}
+
+// The `{ fg, bg, palette }` shape asciicast headers use in `term.theme`.
+export function toCastTheme(theme) {
+  return { fg: theme.fg, bg: theme.bg, palette: theme.palette.join(":") };
+}
@@ -0,0 +1,86 @@
+import { castFromEvents, normalizeHeader } from "./castParser.js";
+
+const FRAME_HEADER_SIZE = 12;
+const MAX_FRAME_SIZE = 16 * 1024 * 1024;
+const SIZE_SAMPLE_LENGTH = 2 * 1024 * 1024;
+
+export const isTtyrecFileName = (name) => /\.(ttyrec|tty)$/i.test(name || "");
+
+/**
+ * Guesses the terminal size from recorded output. An xterm resize request
+ * (`CSI 8 ; rows ; cols t`) is taken as is; otherwise the furthest cursor
+ * position, scroll margin and longest plain line give a lower bound.
+ * `confident` is false when the result is only that lower bound.
+ */
+export function guessTerminalSize(text) {
+  const resize = [...text.matchAll(/\u001b\[8;(\d+);(\d+)t/g)].pop();
+  if (resize) return { cols: Number(resize[2]), rows: Number(resize[1]), confident: true };
+
+  let rows = 0;
+  let cols = 0;
+  for (const [, row, col] of text.matchAll(/\u001b\[(\d+)(?:;(\d+))?[Hf]/g)) {
+    rows = Math.max(rows, Number(row));
+    cols = Math.max(cols, Number(col) || 0);
+  }
+  for (const [, bottom] of text.matchAll(/\u001b\[\d*;(\d+)r/g)) rows = Math.max(rows, Number(bottom));
+  const plain = text.replace(/\u001b\[[0-9;?]*[ -/]*[@-~]|\u001b\][^\u0007\u001b]*(?:\u0007|\u001b\\)|\u001b./g, "");
+  for (const line of plain.split(/\r?\n|\r/)) cols = Math.max(cols, [...line].length);
+  return { cols: Math.min(cols, 2000), rows: Math.min(rows, 2000), confident: false };
+}
+
+/**
+ * Reads ttyrec frames (little-endian `sec`, `usec`, `len` followed by `len`
+ * bytes of output) from an ArrayBuffer. UTF-8 sequences split across frames
+ * are decoded with the frame that completes them. A truncated last frame is
+ * dropped.
+ */
+export function readTtyrec(buffer) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const decoder = new TextDecoder();
+  const frames = [];
+  let startTime = null;
+  let offset = 0;
+  while (offset + FRAME_HEADER_SIZE <= bytes.length) {
+    const sec = view.getUint32(offset, true);
+    const usec = view.getUint32(offset + 4, true);
+    const length = view.getUint32(offset + 8, true);
+    if (usec >= 1000000 || length > MAX_FRAME_SIZE) {
+      if (!frames.length) throw new Error("Not a ttyrec recording");
+      break;
+    }
+    if (offset + FRAME_HEADER_SIZE + length > bytes.length) break;
+    const stamp = sec + usec / 1000000;
+    if (startTime === null) startTime = stamp;
+    const data = decoder.decode(bytes.subarray(offset + FRAME_HEADER_SIZE, offset + FRAME_HEADER_SIZE + length), {
+      stream: true,
+    });
+    frames.push({ time: Math.max(0, stamp - startTime), data });
+    offset += FRAME_HEADER_SIZE + length;
+  }
+  if (!frames.length) throw new Error("Not a ttyrec recording");
+  const tail = decoder.decode();
+  if (tail) frames[frames.length - 1].data += tail;
+
+  let sample = "";
+  for (const frame of frames) {
+    if (sample.length >= SIZE_SAMPLE_LENGTH) break;
+    sample += frame.data;
+  }
+  return { frames, startTime, size: guessTerminalSize(sample) };
+}
+
+// Builds the parsed-cast shape for a recording read by `readTtyrec`, using
+// `size` ({ cols, rows }) for the header.
+export function ttyrecToCast(recording, size) {
+  const events = recording.frames
+    .filter((frame) => frame.data)
+    .map((frame) => [Number(frame.time.toFixed(6)), "o", frame.data]);
+  const header = {
+    version: 2,
+    width: size.cols,
+    height: size.rows,
+    timestamp: Math.floor(recording.startTime),
+  };
+  return castFromEvents(normalizeHeader(header), events);
+}